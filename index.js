@@ -5,6 +5,12 @@ const path = require('path');
 const { execSync, spawn } = require('child_process');
 const { existsSync, createReadStream, createWriteStream } = require('fs');
 const readline = require('readline');
+const { pathToFileURL } = require('url');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const os = require('os');
+const { EventEmitter } = require('events');
 
 // Colors for output
 const colors = {
@@ -18,12 +24,185 @@ const colors = {
 // Base generated directory
 const GENERATED_DIR = 'generated';
 
+// Build manifest recording inputs, settings and outputs of each step for incremental builds
+const MANIFEST_FILE = path.join(GENERATED_DIR, 'manifest.json');
+const MANIFEST_VERSION = 1;
+
+// Project configuration file, read from the current directory
+const CONFIG_FILE = 'maketalk.config.json';
+
+// Exit code used when a build stops because it needs a decision from the user
+const EXIT_DECISION_REQUIRED = 2;
+
+// Default encode and layout settings
+const DEFAULT_CONFIG = {
+  video: {
+    fps: 30,  // 30fps for YouTube compatibility
+    crf: 18,  // Better quality for text clarity
+    transition: 'none',
+    resolution: 'auto',  // WxH, or auto to use the most common source size
+    dimensionStrategy: 'ask'  // What to do when sources differ in size: ask, pad, scale, crop or fail
+  },
+  audio: {
+    bitrate: '192k',
+    sampleRate: 48000
+  },
+  titleCards: {
+    duration: 5,
+    width: 3456,  // Size of --preview cards; builds render at the sections' size
+    height: 2234,
+    theme: 'classic',
+    animation: 'none',
+    markup: 'none',  // none (text as written) or basic (**strong** and *emphasis*)
+    minScale: 0.5  // Warn when text has to shrink below this fraction of the theme's size to fit
+  },
+  sources: {
+    extensions: ['.mov', '.mp4', '.mkv', '.webm', '.m4v'],
+    intro: null  // Clip played before everything else; a 00-intro video is used if not set
+  },
+  transcription: {
+    backend: 'auto',  // auto (yakety, then whisper), yakety, whisper, command, existing or none
+    yakety: process.env.YAKD_TRANSCRIBE_PATH || '/Users/badlogic/workspaces/yakety/build/bin/transcribe',
+    whisper: 'whisper-cli',  // whisper.cpp CLI binary
+    model: null,  // whisper.cpp ggml model file
+    language: 'en',
+    command: null,  // Shell command template with {input} and {output} placeholders
+    dir: 'transcripts'  // Directory of existing transcripts
+  },
+  titles: {
+    llm: null,  // Base URL of an OpenAI-compatible API that writes title_cards.json
+    model: null,  // Model name sent to the API, if the server needs one
+    retries: 2  // Extra attempts when the reply isn't valid title cards
+  },
+  trim: {
+    mode: 'off',  // off, silence, or silence+freeze to only cut where the picture is frozen too
+    padding: 0.5,  // Seconds kept before the first and after the last speech
+    noise: '-35dB',  // Audio below this level counts as silence
+    minDuration: 1,  // Shortest dead air worth trimming, in seconds
+    sections: {}  // Per-section overrides: { "01": { "start": 2, "end": 95.5 } }, or false to keep a section whole
+  },
+  jumpCuts: {
+    mode: 'off',  // off, or how quiet audio must be to count as a pause: gentle, normal or aggressive
+    minPause: 1.5,  // Pauses longer than this are shortened, in seconds
+    keepPause: 0.4  // What is left of a shortened pause, in seconds
+  },
+  overlays: {
+    logo: null,  // PNG composited onto every section
+    position: 'top-right',  // Corner of the logo: top-left, top-right, bottom-left or bottom-right
+    opacity: 0.8,
+    margin: 40,  // Distance of the logo from the edges, in pixels
+    lowerThirds: {}  // Per-section captions: { "01": { "title": "Name", "subtitle": "Role", "start": 1, "duration": 5 } }
+  },
+  thumbnail: {
+    output: null,  // 1280x720 JPEG of the talk title, e.g. thumbnail.jpg
+    section: null,  // Section to grab a background frame from, e.g. "02"
+    time: 0  // Seconds into that section
+  },
+  loudness: {
+    normalize: 'off',  // off, sections (each section on its own) or final (the finished video)
+    target: -16,  // Integrated loudness in LUFS
+    truePeak: -1.5,  // Maximum true peak in dBTP
+    range: 11  // Loudness range in LU
+  },
+  output: 'final_presentation.mp4',
+  jobs: Math.min(64, Math.max(1, os.availableParallelism ? os.availableParallelism() : os.cpus().length)),  // One per CPU, within --jobs' limits
+  onFailure: 'keep-going'  // keep-going (finish the other files, then exit non-zero) or fail-fast
+};
+
+// Transitions supported by ffmpeg's xfade filter that work well between slides
+const XFADE_TRANSITIONS = [
+  'fade', 'fadeblack', 'fadewhite', 'dissolve', 'wipeleft', 'wiperight', 'wipeup', 'wipedown',
+  'slideleft', 'slideright', 'slideup', 'slidedown', 'smoothleft', 'smoothright', 'circleopen', 'circleclose'
+];
+
+// Silence level for each jump cut mode; the higher it is, the more counts as a pause
+const JUMP_CUT_NOISE = {
+  gentle: '-45dB',
+  normal: '-35dB',
+  aggressive: '-28dB'
+};
+
+// Length of the audio crossfade at each jump cut, in seconds
+const JUMP_CUT_CROSSFADE = 0.04;
+
+// Thumbnail size, as YouTube wants it. Themes are designed for large title cards, so the page
+// is laid out at THUMBNAIL_SCALE times the size and scaled down.
+const THUMBNAIL_WIDTH = 1280;
+const THUMBNAIL_HEIGHT = 720;
+const THUMBNAIL_SCALE = 2;
+
+// Largest thumbnail YouTube accepts, and the JPEG qualities (ffmpeg -q:v, lower is better)
+// tried in turn until the thumbnail fits
+const THUMBNAIL_MAX_BYTES = 2 * 1024 * 1024;
+const THUMBNAIL_QUALITIES = [2, 4, 6, 9, 13, 20, 31];
+
+// overlay filter position of the logo in each corner, margin pixels from the edges
+const LOGO_POSITIONS = {
+  'top-left': margin => `x=${margin}:y=${margin}`,
+  'top-right': margin => `x=W-w-${margin}:y=${margin}`,
+  'bottom-left': margin => `x=${margin}:y=H-h-${margin}`,
+  'bottom-right': margin => `x=W-w-${margin}:y=H-h-${margin}`
+};
+
+// Configurable settings, their CLI overrides and validation rules
+const CONFIG_OPTIONS = [
+  { key: 'video.fps', flag: '--fps', type: 'number', min: 1, max: 240 },
+  { key: 'video.crf', flag: '--crf', type: 'integer', min: 0, max: 51 },
+  { key: 'video.transition', flag: '--transition', type: 'string', check: checkTransition },
+  { key: 'video.resolution', flag: '--resolution', type: 'string', check: checkResolution },
+  { key: 'video.dimensionStrategy', flag: '--dimension-strategy', type: 'string', values: ['ask', 'pad', 'scale', 'crop', 'fail'] },
+  { key: 'audio.bitrate', flag: '--audio-bitrate', type: 'string', pattern: /^\d+k$/, hint: 'a bitrate like "192k"' },
+  { key: 'audio.sampleRate', flag: '--sample-rate', type: 'integer', values: [22050, 32000, 44100, 48000, 96000] },
+  { key: 'titleCards.duration', flag: '--title-duration', type: 'number', min: 0.5, max: 60 },
+  { key: 'titleCards.width', flag: '--title-width', type: 'integer', min: 16, max: 8192, even: true },
+  { key: 'titleCards.height', flag: '--title-height', type: 'integer', min: 16, max: 8192, even: true },
+  { key: 'titleCards.theme', flag: '--theme', type: 'string' },
+  { key: 'titleCards.animation', flag: '--title-animation', type: 'string', values: ['none', 'fade', 'slide'] },
+  { key: 'titleCards.markup', flag: '--title-markup', type: 'string', values: ['none', 'basic'] },
+  { key: 'titleCards.minScale', flag: '--title-min-scale', type: 'number', min: 0.1, max: 1 },
+  { key: 'sources.intro', flag: '--intro', type: 'string' },
+  { key: 'sources.extensions', flag: '--extensions', type: 'list', pattern: /^\.?[a-z0-9]+$/i, hint: 'file extensions like ".mov"', normalize: normalizeExtension },
+  { key: 'transcription.backend', flag: '--transcriber', type: 'string', values: ['auto', 'yakety', 'whisper', 'command', 'existing', 'none'] },
+  { key: 'transcription.yakety', flag: '--yakety', type: 'string' },
+  { key: 'transcription.whisper', flag: '--whisper', type: 'string' },
+  { key: 'transcription.model', flag: '--whisper-model', type: 'string' },
+  { key: 'transcription.language', flag: '--language', type: 'string', pattern: /^(auto|[a-z]{2,3})$/, hint: 'a language code like "en", or "auto"' },
+  { key: 'transcription.command', flag: '--transcribe-command', type: 'string', check: checkCommandTemplate },
+  { key: 'transcription.dir', flag: '--transcripts', type: 'string' },
+  { key: 'titles.llm', flag: '--titles-llm', type: 'string', pattern: /^https?:\/\/\S+$/, hint: 'an http(s) URL like "http://localhost:8080/v1"' },
+  { key: 'titles.model', flag: '--titles-model', type: 'string' },
+  { key: 'titles.retries', flag: '--titles-retries', type: 'integer', min: 0, max: 10 },
+  { key: 'trim.mode', flag: '--trim', type: 'string', values: ['off', 'silence', 'silence+freeze'] },
+  { key: 'trim.padding', flag: '--trim-padding', type: 'number', min: 0, max: 10 },
+  { key: 'trim.noise', flag: '--trim-noise', type: 'string', pattern: /^-\d+(\.\d+)?dB$/, hint: 'a level like "-35dB"' },
+  { key: 'trim.minDuration', flag: '--trim-min-duration', type: 'number', min: 0.1, max: 60 },
+  { key: 'trim.sections', type: 'object', check: checkTrimOverrides },
+  { key: 'jumpCuts.mode', flag: '--jump-cuts', type: 'string', values: ['off', ...Object.keys(JUMP_CUT_NOISE)] },
+  { key: 'jumpCuts.minPause', flag: '--min-pause', type: 'number', min: 0.3, max: 30 },
+  { key: 'jumpCuts.keepPause', flag: '--keep-pause', type: 'number', min: 0, max: 10 },
+  { key: 'overlays.logo', flag: '--logo', type: 'string', pattern: /\.png$/i, hint: 'a .png file' },
+  { key: 'overlays.position', flag: '--logo-position', type: 'string', values: Object.keys(LOGO_POSITIONS) },
+  { key: 'overlays.opacity', flag: '--logo-opacity', type: 'number', min: 0, max: 1 },
+  { key: 'overlays.margin', flag: '--logo-margin', type: 'integer', min: 0, max: 2000 },
+  { key: 'overlays.lowerThirds', type: 'object', check: checkLowerThirds },
+  { key: 'thumbnail.output', flag: '--thumbnail', type: 'string', pattern: /\.jpe?g$/i, hint: 'a .jpg file name' },
+  { key: 'thumbnail.section', flag: '--thumbnail-section', type: 'string', pattern: /^\d{2}$/, hint: 'a two-digit section number like "02"' },
+  { key: 'thumbnail.time', flag: '--thumbnail-time', type: 'number', min: 0, max: 86400 },
+  { key: 'loudness.normalize', flag: '--loudness', type: 'string', values: ['off', 'sections', 'final'] },
+  { key: 'loudness.target', flag: '--loudness-target', type: 'number', min: -70, max: -5 },
+  { key: 'loudness.truePeak', flag: '--true-peak', type: 'number', min: -9, max: 0 },
+  { key: 'loudness.range', flag: '--loudness-range', type: 'number', min: 1, max: 50 },
+  { key: 'output', flag: '--output', type: 'string', pattern: /\.mp4$/i, hint: 'an .mp4 file name' },
+  { key: 'jobs', flag: '--jobs', type: 'integer', min: 1, max: 64 },
+  { key: 'onFailure', flag: '--on-failure', type: 'string', values: ['keep-going', 'fail-fast'] }
+];
+
 // Track all spawned processes for cleanup
 const activeProcesses = new Set();
 
 // Cleanup handler
 function cleanup() {
-  console.log('\n\nCleaning up processes...');
+  console.error('\n\nCleaning up processes...');
   for (const proc of activeProcesses) {
     try {
       process.kill(-proc.pid, 'SIGTERM');
@@ -34,19 +213,22 @@ function cleanup() {
   activeProcesses.clear();
 }
 
-// Register signal handlers
-process.on('SIGINT', () => {
-  console.log('\n\nReceived SIGINT, cleaning up...');
-  cleanup();
-  process.exit(1);
-});
+// Stop spawned processes when the CLI is interrupted or exits. Not done when maketalk
+// is used as a library, where the process belongs to the caller.
+function registerSignalHandlers() {
+  process.on('SIGINT', () => {
+    console.error('\n\nReceived SIGINT, cleaning up...');
+    cleanup();
+    process.exit(1);
+  });
 
-process.on('SIGTERM', () => {
-  cleanup();
-  process.exit(1);
-});
+  process.on('SIGTERM', () => {
+    cleanup();
+    process.exit(1);
+  });
 
-process.on('exit', cleanup);
+  process.on('exit', cleanup);
+}
 
 // Helper to execute commands
 function exec(command, silent = false) {
@@ -55,14 +237,328 @@ function exec(command, silent = false) {
     return result;
   } catch (error) {
     if (!silent) {
-      console.error(`${colors.RED}Command failed: ${command}${colors.NC}`);
+      logError(`${colors.RED}Command failed: ${command}${colors.NC}`);
     }
     throw error;
   }
 }
 
-// Execute FFmpeg with progress indication
-function execFFmpeg(args, description) {
+// Multi-line progress display with one line per running job. On a terminal the lines
+// are redrawn in place; otherwise only finished jobs are printed.
+function createProgressDisplay(stream) {
+  const interactive = Boolean(stream.isTTY);
+  const active = new Map();
+  let drawnLines = 0;
+
+  function clear() {
+    if (drawnLines > 0) {
+      // Move up over the drawn lines and clear to the end of the screen
+      stream.write(`\x1b[${drawnLines}A\x1b[0J`);
+      drawnLines = 0;
+    }
+  }
+
+  function draw() {
+    for (const [description, percent] of active) {
+      stream.write(`  ${description}: ${percent}%\n`);
+    }
+    drawnLines = active.size;
+  }
+
+  return {
+    update(description, percent) {
+      active.set(description, percent);
+      if (interactive) {
+        clear();
+        draw();
+      }
+    },
+
+    done(description, success) {
+      active.delete(description);
+      if (interactive) clear();
+      if (success) stream.write(`  ${description}: 100%\n`);
+      if (interactive) draw();
+    },
+
+    // Print a message above the progress lines
+    log(...args) {
+      if (interactive) clear();
+      console.log(...args);
+      if (interactive) draw();
+    },
+
+    error(...args) {
+      if (interactive) clear();
+      console.error(...args);
+      if (interactive) draw();
+    }
+  };
+}
+
+// Everything the build reports goes through this emitter as 'event's: { type: 'log' } messages,
+// 'step' and 'stepEnd' around each step, 'progress' of running ffmpeg jobs and a final
+// 'summary'. The CLI prints them (see printEvents and printEventsAsJSON); the library API
+// passes them on to its caller.
+const events = new EventEmitter();
+
+// Formats of the CLI's output (--log-format)
+const LOG_FORMATS = ['text', 'ndjson'];
+
+function report(event) {
+  events.emit('event', event);
+}
+
+// Report a message from a build step
+function log(message = '') {
+  report({ type: 'log', level: 'info', message });
+}
+
+function logWarning(message) {
+  report({ type: 'log', level: 'warning', message });
+}
+
+function logError(message) {
+  report({ type: 'log', level: 'error', message });
+}
+
+// When the build started, the step that is running with its start time, and how long the
+// finished ones took
+let buildStartedAt = Date.now();
+let currentStep = null;
+let finishedSteps = [];
+
+// Files that failed in any step of the build: { step, item, message, stderr }
+let failures = [];
+// Files a step couldn't process but the build went on without, in the same form
+let warnings = [];
+
+function resetSteps() {
+  buildStartedAt = Date.now();
+  currentStep = null;
+  finishedSteps = [];
+  failures = [];
+  warnings = [];
+}
+
+// Report the start of a build step, e.g. startStep('convert', 'Step 1: Converting...').
+// The step before it ends here.
+function startStep(step, title) {
+  endStep();
+  currentStep = { step, title, startedAt: Date.now() };
+  report({ type: 'step', step, title });
+}
+
+// Report the end of the running step, if any
+function endStep(status = 'done') {
+  if (!currentStep) return;
+  const { step, title, startedAt } = currentStep;
+  const seconds = round3((Date.now() - startedAt) / 1000);
+  finishedSteps.push({ step, status, seconds });
+  currentStep = null;
+  report({ type: 'stepEnd', step, title, status, seconds });
+}
+
+// Lines of a failed command's stderr kept with its failure
+const FAILURE_STDERR_LINES = 10;
+
+// Record that one file of a step failed and report it with the end of the failed command's
+// stderr. With onFailure fail-fast this stops the build; otherwise the step goes on with the
+// other files and the build fails at the end (see failuresError).
+function recordFailure(config, item, error, message) {
+  const failure = describeFailure(item, error);
+  failures.push(failure);
+
+  logError(`${colors.RED}✗ ${message}${colors.NC}`);
+  for (const line of failure.stderr) {
+    logError(`    ${line}`);
+  }
+
+  if (config.onFailure === 'fail-fast') {
+    throw failuresError();
+  }
+}
+
+// Record that one file of a step failed where the build can do without it, e.g. a section
+// that stays untrimmed. Reported in the summary like a failure, but never stops the build.
+function recordWarning(item, error, message) {
+  const warning = describeFailure(item, error);
+  warnings.push(warning);
+
+  logWarning(message);
+  for (const line of warning.stderr) {
+    log(`    ${line}`);
+  }
+}
+
+function describeFailure(item, error) {
+  const stderr = String(error.stderr || '').split('\n').map(line => line.trimEnd()).filter(Boolean).slice(-FAILURE_STDERR_LINES);
+  return { step: currentStep ? currentStep.step : null, item, message: error.message, stderr };
+}
+
+// The error a build with failed files ends with
+function failuresError(consequence = '') {
+  const items = failures.map(failure => failure.item);
+  const error = new Error(`${items.length} ${items.length === 1 ? 'file' : 'files'} failed: ${items.join(', ')}${consequence}`);
+  error.failures = failures;
+  return error;
+}
+
+// Steps whose failed files would leave a section or title card out of the final video
+const ASSEMBLY_INPUT_STEPS = ['convert', 'merge', 'titleCards'];
+
+function missingAssemblyInputs() {
+  return failures.some(failure => ASSEMBLY_INPUT_STEPS.includes(failure.step));
+}
+
+// The failures of a build as a table with one row per failed file
+function formatFailureTable(rows) {
+  const header = { step: 'Step', item: 'File', message: 'Error' };
+  const stepWidth = Math.max(...[header, ...rows].map(row => String(row.step).length));
+  const itemWidth = Math.max(...[header, ...rows].map(row => row.item.length));
+  return [header, ...rows].map(row => `  ${String(row.step).padEnd(stepWidth)}  ${row.item.padEnd(itemWidth)}  ${row.message}`);
+}
+
+// Print the build's events to the terminal, redrawing the progress of running jobs in place
+function printEvents(stream) {
+  const display = createProgressDisplay(stream);
+  events.on('event', event => {
+    if (event.type === 'log') {
+      if (event.level === 'error') {
+        display.error(event.message);
+      } else if (event.level === 'warning') {
+        display.log(`${colors.YELLOW}Warning: ${event.message}${colors.NC}`);
+      } else {
+        display.log(event.message);
+      }
+    } else if (event.type === 'error') {
+      display.error(`${colors.RED}Error: ${event.message}${colors.NC}`);
+    } else if (event.type === 'summary') {
+      if (event.warnings.length > 0) {
+        display.log(`\n${colors.YELLOW}Warnings:${colors.NC}`);
+        for (const line of formatFailureTable(event.warnings)) {
+          display.log(line);
+        }
+      }
+      if (event.failures.length > 0) {
+        display.error(`\n${colors.RED}Failed files:${colors.NC}`);
+        for (const line of formatFailureTable(event.failures)) {
+          display.error(line);
+        }
+      }
+    } else if (event.type === 'step') {
+      display.log(`\n${colors.BLUE}${event.title}${colors.NC}`);
+    } else if (event.type === 'progress') {
+      if (event.state === 'running') {
+        display.update(event.description, event.percent);
+      } else {
+        display.done(event.description, event.state === 'done');
+      }
+    }
+  });
+}
+
+// Report the outcome of a build: the result of runBuild, the files written next to the
+// final video and how long each step took
+function reportSummary(config, result) {
+  const files = {};
+  if (result.status === 'complete') {
+    const base = config.output.slice(0, -path.extname(config.output).length);
+    files.subtitles = [`${base}.srt`, `${base}.vtt`].filter(file => existsSync(file));
+    if (config.thumbnail.output && existsSync(config.thumbnail.output)) {
+      files.thumbnail = config.thumbnail.output;
+    }
+    const loudnessReport = path.join(GENERATED_DIR, 'loudness_report.json');
+    if (config.loudness.normalize !== 'off' && existsSync(loudnessReport)) {
+      files.loudnessReport = loudnessReport;
+    }
+  }
+  report({
+    type: 'summary',
+    ...result,
+    ...(failures.length > 0 ? { status: 'failed' } : {}),
+    ...files,
+    failures,
+    warnings,
+    steps: finishedSteps,
+    seconds: round3((Date.now() - buildStartedAt) / 1000)
+  });
+}
+
+// Print the build's events as newline-delimited JSON, one object per line with its time
+function printEventsAsJSON(stream) {
+  events.on('event', event => {
+    const line = { time: new Date().toISOString(), ...event };
+    if (line.message !== undefined) {
+      line.message = stripColors(line.message);
+    }
+    stream.write(`${JSON.stringify(line)}\n`);
+  });
+}
+
+// Run worker on each item with at most `jobs` running at the same time
+async function runPool(items, jobs, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(jobs, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        next = items.length;  // Start no new items once one has failed
+        throw error;
+      }
+    }
+  });
+
+  // Let the running items finish before failing, so nothing keeps working after the caller gave up
+  const settled = await Promise.allSettled(runners);
+  const failed = settled.find(result => result.status === 'rejected');
+  if (failed) {
+    throw failed.reason;
+  }
+  return results;
+}
+
+// Run a command without a shell and collect its output, so several can run at once
+function runCommand(command, args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      detached: true
+    });
+
+    activeProcesses.add(child);
+
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', data => { stdout += data; });
+    child.stderr.on('data', data => { stderr += data; });
+
+    child.on('close', (code) => {
+      activeProcesses.delete(child);
+      if (code === 0) {
+        resolve({ stdout, stderr });
+      } else {
+        const error = new Error(`${path.basename(command)} exited with code ${code}`);
+        error.stdout = stdout;
+        error.stderr = stderr;
+        reject(error);
+      }
+    });
+
+    child.on('error', (err) => {
+      activeProcesses.delete(child);
+      reject(err);
+    });
+  });
+}
+
+// Execute FFmpeg with progress indication. Pass expectedDuration when the output
+// length differs from the first input's (filter graphs joining several inputs)
+function execFFmpeg(args, description, expectedDuration = null) {
   return new Promise((resolve, reject) => {
     const ffmpeg = spawn('ffmpeg', args, {
       stdio: ['pipe', 'pipe', 'pipe'],
@@ -71,8 +567,9 @@ function execFFmpeg(args, description) {
 
     activeProcesses.add(ffmpeg);
 
-    let duration = null;
+    let duration = expectedDuration;
     let lastProgress = -1;
+    const stderrLines = [];  // The last lines, without progress, for the error
 
     // Create readline interface for stderr
     const rl = readline.createInterface({
@@ -81,6 +578,11 @@ function execFFmpeg(args, description) {
     });
 
     rl.on('line', (line) => {
+      if (!line.includes('time=')) {
+        stderrLines.push(line);
+        if (stderrLines.length > FAILURE_STDERR_LINES) stderrLines.shift();
+      }
+
       // Parse duration from input metadata
       if (!duration && line.includes('Duration:')) {
         const match = line.match(/Duration: (\d{2}):(\d{2}):(\d{2}\.\d+)/);
@@ -90,7 +592,7 @@ function execFFmpeg(args, description) {
         }
       }
 
-      // Parse current time
+      // Parse current time, and the encoding speed as a multiple of real time
       if (line.includes('time=')) {
         const match = line.match(/time=(\d{2}):(\d{2}):(\d{2}\.\d+)/);
         if (match && duration) {
@@ -101,7 +603,10 @@ function execFFmpeg(args, description) {
           // Only update if progress changed
           if (progress !== lastProgress) {
             lastProgress = progress;
-            process.stdout.write(`\r  ${description}: ${progress}%`);
+            const speedMatch = line.match(/speed=\s*([\d.]+)x/);
+            const speed = speedMatch ? parseFloat(speedMatch[1]) : null;
+            const eta = speed ? Math.max(0, Math.round((duration - currentTime) / speed)) : null;
+            report({ type: 'progress', description, percent: progress, state: 'running', speed, eta });
           }
         }
       }
@@ -112,21 +617,31 @@ function execFFmpeg(args, description) {
       rl.close();
 
       if (code === 0) {
-        process.stdout.write(`\r  ${description}: 100%\n`);
+        report({ type: 'progress', description, percent: 100, state: 'done' });
         resolve();
       } else {
-        reject(new Error(`FFmpeg exited with code ${code}`));
+        report({ type: 'progress', description, percent: Math.max(lastProgress, 0), state: 'failed' });
+        const error = new Error(`FFmpeg exited with code ${code}`);
+        error.stderr = stderrLines.join('\n');
+        reject(error);
       }
     });
 
     ffmpeg.on('error', (err) => {
       activeProcesses.delete(ffmpeg);
       rl.close();
+      report({ type: 'progress', description, percent: Math.max(lastProgress, 0), state: 'failed' });
       reject(err);
     });
   });
 }
 
+// Format a command and its arguments as a copy-pasteable shell command line
+function formatCommand(command, args) {
+  const quote = arg => /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`;
+  return [command, ...args].map(arg => quote(String(arg))).join(' ');
+}
+
 // Helper to check if command exists
 function commandExists(command) {
   try {
@@ -137,6 +652,109 @@ function commandExists(command) {
   }
 }
 
+// Ask the user a question on stdin. In non-interactive mode there is nobody to
+// answer, so explain which flag makes the decision and stop instead of hanging.
+async function askUser(question, interaction, hint) {
+  if (interaction.nonInteractive) {
+    const error = new Error(`A decision is required but the build is non-interactive\n  ${question}\n  ${hint}`);
+    error.exitCode = EXIT_DECISION_REQUIRED;
+    throw error;
+  }
+
+  log(`\n${question}`);
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  return new Promise(resolve => {
+    rl.question('', answer => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+// ffprobe arguments that print a media file's duration in seconds
+function probeDurationArgs(file) {
+  return ['-v', 'error', '-show_entries', 'format=duration', '-of', 'default=noprint_wrappers=1:nokey=1', file];
+}
+
+// Get the duration of a media file in seconds
+function probeDuration(file) {
+  const result = exec(formatCommand('ffprobe', probeDurationArgs(file)), true).trim();
+  const duration = parseFloat(result);
+  if (isNaN(duration)) {
+    throw new Error(`Could not determine duration of ${file}`);
+  }
+  return duration;
+}
+
+// ffmpeg arguments that log silent intervals using the silencedetect filter
+function silenceDetectArgs(inputFile, noise = '-35dB', minDuration = 0.5) {
+  return [
+    '-i', inputFile,
+    '-af', `silencedetect=noise=${noise}:d=${minDuration}`,
+    '-f', 'null',
+    '-'
+  ];
+}
+
+// Detect silent intervals using ffmpeg's silencedetect filter
+async function detectSilences(inputFile, noise = '-35dB', minDuration = 0.5) {
+  const { stderr } = await runCommand('ffmpeg', silenceDetectArgs(inputFile, noise, minDuration));
+  return parseDetectedIntervals(stderr, 'silence_start', 'silence_end');
+}
+
+// Parse the intervals logged by silencedetect or freezedetect into [{ start, end }]
+function parseDetectedIntervals(output, startKey, endKey) {
+  const intervals = [];
+  let start = null;
+
+  for (const line of output.split('\n')) {
+    const startMatch = line.match(new RegExp(`${startKey}: (-?\\d+(?:\\.\\d+)?)`));
+    if (startMatch) {
+      start = Math.max(0, parseFloat(startMatch[1]));
+      continue;
+    }
+    const endMatch = line.match(new RegExp(`${endKey}: (\\d+(?:\\.\\d+)?)`));
+    if (endMatch && start !== null) {
+      intervals.push({ start, end: parseFloat(endMatch[1]) });
+      start = null;
+    }
+  }
+
+  // An interval running until the end of the file has no end line
+  if (start !== null) {
+    intervals.push({ start, end: Infinity });
+  }
+
+  return intervals;
+}
+
+// Turn silent intervals into speech chunks no longer than maxLength seconds
+function getSpeechChunks(silences, duration, maxLength = 30) {
+  const chunks = [];
+  let position = 0;
+
+  const addChunk = (start, end) => {
+    if (end - start < 0.2) return;
+    const pieces = Math.ceil((end - start) / maxLength);
+    const pieceLength = (end - start) / pieces;
+    for (let i = 0; i < pieces; i++) {
+      chunks.push({ start: start + i * pieceLength, end: start + (i + 1) * pieceLength });
+    }
+  };
+
+  for (const silence of silences) {
+    addChunk(position, Math.min(silence.start, duration));
+    position = Math.min(silence.end, duration);
+  }
+  addChunk(position, duration);
+
+  return chunks;
+}
+
 // Initialize/create generated directory structure
 async function initGeneratedDir() {
   const dirs = [
@@ -144,7 +762,11 @@ async function initGeneratedDir() {
     path.join(GENERATED_DIR, 'audio'),
     path.join(GENERATED_DIR, 'transcriptions'),
     path.join(GENERATED_DIR, 'title_cards'),
-    path.join(GENERATED_DIR, 'converted_videos')
+    path.join(GENERATED_DIR, 'converted_videos'),
+    path.join(GENERATED_DIR, 'trimmed'),
+    path.join(GENERATED_DIR, 'jumpcut'),
+    path.join(GENERATED_DIR, 'overlaid'),
+    path.join(GENERATED_DIR, 'normalized')
   ];
 
   for (const dir of dirs) {
@@ -153,13 +775,17 @@ async function initGeneratedDir() {
 }
 
 // Clean up generated directories except converted_videos for resume
-async function cleanupForResume() {
-  console.log(`${colors.BLUE}Cleaning up for resume (keeping converted videos)...${colors.NC}`);
+async function cleanupForResume(manifest) {
+  log(`${colors.BLUE}Cleaning up for resume (keeping converted videos)...${colors.NC}`);
   
   const dirsToClean = [
     path.join(GENERATED_DIR, 'audio'),
     path.join(GENERATED_DIR, 'transcriptions'),
-    path.join(GENERATED_DIR, 'title_cards')
+    path.join(GENERATED_DIR, 'title_cards'),
+    path.join(GENERATED_DIR, 'trimmed'),
+    path.join(GENERATED_DIR, 'jumpcut'),
+    path.join(GENERATED_DIR, 'overlaid'),
+    path.join(GENERATED_DIR, 'normalized')
   ];
   
   for (const dir of dirsToClean) {
@@ -179,147 +805,898 @@ async function cleanupForResume() {
     for (const file of files) {
       const filePath = path.join(GENERATED_DIR, file);
       const stat = await fs.stat(filePath);
-      if (!stat.isDirectory()) {
+      // The manifest still knows which conversions are current
+      if (!stat.isDirectory() && filePath !== MANIFEST_FILE) {
         await fs.unlink(filePath);
       }
     }
   } catch (error) {
     // Ignore errors
   }
+
+  await forgetSteps(manifest, ['merge', 'trim', 'jumpCut', 'audio', 'transcribe', 'titleCards', 'overlay', 'loudness']);
   
-  console.log(`${colors.GREEN}✓ Cleanup complete${colors.NC}`);
+  log(`${colors.GREEN}✓ Cleanup complete${colors.NC}`);
 }
 
-// Check dependencies
-function checkDependencies() {
-  console.log(`${colors.BLUE}Checking dependencies...${colors.NC}`);
+// Load the build manifest. With force, recorded steps are ignored so everything is redone,
+// but cached file hashes are kept.
+async function loadManifest(force = false) {
+  let manifest = { version: MANIFEST_VERSION, files: {}, steps: {} };
+  if (existsSync(MANIFEST_FILE)) {
+    try {
+      const data = JSON.parse(await fs.readFile(MANIFEST_FILE, 'utf8'));
+      if (data.version === MANIFEST_VERSION) {
+        manifest = data;
+      }
+    } catch {
+      logWarning(`Could not read ${MANIFEST_FILE} - rebuilding everything`);
+    }
+  }
+  // Not saved, only affects this run
+  Object.defineProperty(manifest, 'force', { value: force, enumerable: false });
+  return manifest;
+}
 
-  const missingDeps = [];
-  let yakdAvailable = true;
+// Parallel jobs record their steps at the same time, so writes are queued
+let manifestSaveQueue = Promise.resolve();
 
-  if (!commandExists('ffmpeg')) missingDeps.push('ffmpeg');
-  if (!commandExists('jq')) missingDeps.push('jq');
+function saveManifest(manifest) {
+  const content = JSON.stringify(manifest, null, 2);
+  manifestSaveQueue = manifestSaveQueue.catch(() => {}).then(() => fs.writeFile(MANIFEST_FILE, content));
+  return manifestSaveQueue;
+}
 
-  // Check for Yakety transcribe tool - optional
-  const yakdPath = process.env.YAKD_TRANSCRIBE_PATH || '/Users/badlogic/workspaces/yakety/build/bin/transcribe';
-  if (!existsSync(yakdPath)) {
-    yakdAvailable = false;
-    console.log(`${colors.YELLOW}Note: Yakety transcribe tool not found - will generate template for manual editing${colors.NC}`);
+// SHA-256 of a file's contents, cached in the manifest by path, size and modification time
+async function hashFile(manifest, file) {
+  const stat = await fs.stat(file);
+  const cached = manifest.files[file];
+  if (cached && cached.size === stat.size && cached.mtimeMs === stat.mtimeMs) {
+    return cached.hash;
   }
 
-  // Check for Chrome
-  const chromeExists = commandExists('google-chrome') ||
-                      commandExists('chromium') ||
-                      existsSync('/Applications/Google Chrome.app/Contents/MacOS/Google Chrome');
+  const hash = await new Promise((resolve, reject) => {
+    const hasher = crypto.createHash('sha256');
+    createReadStream(file)
+      .on('data', data => hasher.update(data))
+      .on('end', () => resolve(hasher.digest('hex')))
+      .on('error', reject);
+  });
+  manifest.files[file] = { size: stat.size, mtimeMs: stat.mtimeMs, hash };
+  return hash;
+}
 
-  if (!chromeExists) {
-    missingDeps.push('Chrome/Chromium for title card generation');
+// Combine input hashes and settings into a single fingerprint
+function fingerprint(...parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+// Fingerprint of a generated file: the fingerprint of the step that produced it,
+// or its content hash if no recorded step did
+async function outputFingerprint(manifest, file) {
+  for (const entries of Object.values(manifest.steps)) {
+    for (const entry of Object.values(entries)) {
+      if (entry.outputs.includes(file) && existsSync(file)) {
+        return entry.fingerprint;
+      }
+    }
   }
+  return hashFile(manifest, file);
+}
 
-  if (missingDeps.length > 0) {
-    console.error(`${colors.RED}Missing required dependencies: ${missingDeps.join(', ')}${colors.NC}`);
-    process.exit(1);
+// Fingerprint a generated file will have once earlier steps ran. `planned` maps the
+// outputs of jobs planned so far to their fingerprints, for files not built yet.
+async function plannedFingerprint(manifest, planned, file) {
+  return planned.has(file) ? planned.get(file) : outputFingerprint(manifest, file);
+}
+
+// Check whether a step already produced its outputs from the same inputs and settings
+function isUpToDate(manifest, step, key, fp) {
+  if (manifest.force) return false;
+  const entry = (manifest.steps[step] || {})[key];
+  return Boolean(entry && entry.fingerprint === fp && entry.outputs.every(output => existsSync(output)));
+}
+
+// Record a completed step and save the manifest right away so interrupted runs keep their progress
+async function recordStep(manifest, step, key, fp, outputs, details = {}) {
+  manifest.steps[step] = manifest.steps[step] || {};
+  manifest.steps[step][key] = { fingerprint: fp, outputs, ...details };
+  await saveManifest(manifest);
+}
+
+// Forget entries whose input no longer exists and delete their outputs
+async function pruneStep(manifest, step, currentKeys) {
+  const entries = manifest.steps[step] || {};
+  const keep = new Set(currentKeys);
+  let changed = false;
+
+  for (const [key, entry] of Object.entries(entries)) {
+    if (keep.has(key)) continue;
+    for (const output of entry.outputs) {
+      await fs.rm(output, { force: true });
+    }
+    delete entries[key];
+    changed = true;
   }
 
-  console.log(`${colors.GREEN}All required dependencies found!${colors.NC}`);
-  return yakdAvailable;
+  if (changed) {
+    await saveManifest(manifest);
+  }
 }
 
-// Get all MOV files in current directory
-async function getMovFiles() {
-  const files = await fs.readdir('.');
-  return files.filter(f => f.toLowerCase().endsWith('.mov'));
+// Drop all records of the given steps so they run again
+async function forgetSteps(manifest, steps) {
+  for (const step of steps) {
+    delete manifest.steps[step];
+  }
+  await saveManifest(manifest);
 }
 
-// Check if MOV files follow naming convention
-function checkMovFileNaming(movFiles) {
-  const numberedFiles = [];
-  const unnumberedFiles = [];
-  
-  for (const file of movFiles) {
-    if (file.match(/^(\d{2})-/)) {
-      numberedFiles.push(file);
-    } else {
-      unnumberedFiles.push(file);
+// Get the value of a CLI option given as "--flag value" or "--flag=value"
+function getArgValue(args, flag) {
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === flag) {
+      return i + 1 < args.length ? args[i + 1] : null;
+    }
+    if (args[i].startsWith(`${flag}=`)) {
+      return args[i].substring(flag.length + 1);
     }
   }
-  
-  return { numberedFiles, unnumberedFiles };
+  return undefined;
 }
 
-// Step 3: Extract audio from merged section MP4 files
-async function extractAudio() {
-  console.log(`\n${colors.BLUE}Step 3: Extracting audio from merged section MP4 files...${colors.NC}`);
+function getConfigValue(config, key) {
+  return key.split('.').reduce((obj, part) => (obj === undefined || obj === null ? undefined : obj[part]), config);
+}
 
-  const convertedDir = path.join(GENERATED_DIR, 'converted_videos');
-  const mp4Files = await fs.readdir(convertedDir);
-  // Only extract audio from section files (XX-section.mp4)
-  const sectionFiles = mp4Files.filter(f => f.match(/^\d{2}-section\.mp4$/));
+function setConfigValue(config, key, value) {
+  const parts = key.split('.');
+  let obj = config;
+  for (const part of parts.slice(0, -1)) {
+    obj = obj[part];
+  }
+  obj[parts[parts.length - 1]] = value;
+}
 
-  for (const file of sectionFiles) {
-    const filename = path.basename(file, '.mp4');
-    const mp4Path = path.join(convertedDir, file);
-    console.log(`Extracting audio from ${file}...`);
+// Check a single config value against its option rules, returning an error message or null
+function validateConfigValue(option, value) {
+  if (option.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return `must be an object (got ${JSON.stringify(value)})`;
+    }
+    return option.check ? option.check(value) : null;
+  }
 
-    try {
-      const outputPath = path.join(GENERATED_DIR, 'audio', filename + '.wav');
-      await execFFmpeg([
-        '-i', mp4Path,
-        '-vn',
-        '-acodec', 'pcm_s16le',
-        '-ar', '16000',
-        '-ac', '1',
-        '-y',
-        outputPath
-      ], `Extracting ${filename}`);
-      console.log(`${colors.GREEN}✓ Extracted: ${filename}.wav${colors.NC}`);
-    } catch {
-      console.log(`${colors.RED}✗ Failed: ${filename}.wav${colors.NC}`);
+  if (option.type === 'list') {
+    if (!Array.isArray(value) || value.length === 0) {
+      return `must be a non-empty list (got ${JSON.stringify(value)})`;
+    }
+    const invalid = value.find(item => typeof item !== 'string' || !option.pattern.test(item));
+    if (invalid !== undefined) {
+      return `must only contain ${option.hint} (got ${JSON.stringify(invalid)})`;
+    }
+    return null;
+  }
+
+  if (option.type === 'string') {
+    if (typeof value !== 'string' || value === '') {
+      return `must be a non-empty string (got ${JSON.stringify(value)})`;
+    }
+    if (option.pattern && !option.pattern.test(value)) {
+      return `must be ${option.hint} (got ${JSON.stringify(value)})`;
+    }
+    if (option.values && !option.values.includes(value)) {
+      return `must be one of ${option.values.join(', ')} (got ${JSON.stringify(value)})`;
+    }
+    return option.check ? option.check(value) : null;
+  }
+
+  if (typeof value !== 'number' || !isFinite(value)) {
+    return `must be a number (got ${JSON.stringify(value)})`;
+  }
+  if (option.type === 'integer' && !Number.isInteger(value)) {
+    return `must be a whole number (got ${value})`;
+  }
+  if (option.values && !option.values.includes(value)) {
+    return `must be one of ${option.values.join(', ')} (got ${value})`;
+  }
+  if (option.min !== undefined && (value < option.min || value > option.max)) {
+    return `must be between ${option.min} and ${option.max} (got ${value})`;
+  }
+  if (option.even && value % 2 !== 0) {
+    return `must be an even number (got ${value})`;
+  }
+  return null;
+}
+
+function normalizeConfigValue(option, value) {
+  if (!option.normalize) return value;
+  return Array.isArray(value) ? value.map(option.normalize) : option.normalize(value);
+}
+
+// Lowercase with a leading dot, so "MKV" and ".mkv" both match recordings named *.mkv
+function normalizeExtension(extension) {
+  const lower = extension.toLowerCase();
+  return lower.startsWith('.') ? lower : `.${lower}`;
+}
+
+// Reject keys in the config file that we don't know about, so typos don't go unnoticed.
+// Empty objects in the defaults are maps whose keys are up to the user.
+function findUnknownConfigKeys(fileConfig, defaults, prefix = '') {
+  const unknown = [];
+  for (const [name, value] of Object.entries(fileConfig)) {
+    const key = prefix + name;
+    if (!(name in defaults)) {
+      unknown.push(key);
+    } else if (value && typeof value === 'object' && !Array.isArray(value) &&
+               defaults[name] && typeof defaults[name] === 'object' && Object.keys(defaults[name]).length > 0) {
+      unknown.push(...findUnknownConfigKeys(value, defaults[name], `${key}.`));
     }
   }
+  return unknown;
 }
 
-// Step 4: Transcribe audio files (if Yakety available)
-async function transcribeAudio(yakdAvailable) {
-  if (!yakdAvailable) {
-    console.log(`\n${colors.YELLOW}Step 4: Skipping transcription (Yakety not available)${colors.NC}`);
-    return false;
+// Validate settings in the config file format and merge them into config, adding problems
+// to errors prefixed with source
+function mergeConfigObject(config, values, source, errors) {
+  for (const key of findUnknownConfigKeys(values, DEFAULT_CONFIG)) {
+    errors.push(`${source}: unknown setting "${key}"`);
+  }
+  for (const [group, defaults] of Object.entries(DEFAULT_CONFIG)) {
+    const value = values[group];
+    if (typeof defaults === 'object' && value !== undefined &&
+        (!value || typeof value !== 'object' || Array.isArray(value))) {
+      errors.push(`${source}: ${group} must be an object`);
+    }
   }
-  
-  console.log(`\n${colors.BLUE}Step 4: Transcribing audio files...${colors.NC}`);
 
-  const audioDir = path.join(GENERATED_DIR, 'audio');
-  const files = await fs.readdir(audioDir);
-  const wavFiles = files.filter(f => f.endsWith('.wav'));
+  for (const option of CONFIG_OPTIONS) {
+    const value = getConfigValue(values, option.key);
+    if (value === undefined) continue;
+    const error = validateConfigValue(option, value);
+    if (error) {
+      errors.push(`${source}: ${option.key} ${error}`);
+    } else {
+      setConfigValue(config, option.key, normalizeConfigValue(option, value));
+    }
+  }
+}
 
-  for (const wavFile of wavFiles) {
-    const basename = path.basename(wavFile, '.wav');
-    console.log(`Transcribing ${basename}...`);
+// Load maketalk.config.json (or --config <file>), apply overrides from the library API
+// and the command line, and validate the result
+async function loadConfig(args = [], overrides = null) {
+  const config = JSON.parse(JSON.stringify(DEFAULT_CONFIG));
+  const errors = [];
+
+  const configArg = getArgValue(args, '--config');
+  if (configArg === null) {
+    throw new Error('--config requires a file path');
+  }
+  const configPath = configArg || CONFIG_FILE;
 
+  if (existsSync(configPath)) {
+    let fileConfig;
     try {
-      const wavPath = path.join(audioDir, wavFile);
-      const yakdPath = process.env.YAKD_TRANSCRIBE_PATH || '/Users/badlogic/workspaces/yakety/build/bin/transcribe';
-      const result = exec(`"${yakdPath}" "${wavPath}" 2>&1`, true);
-
-      // Extract transcription from output
-      const match = result.match(/Transcription: "(.*?)"/);
-      if (match && match[1]) {
-        const transcriptionPath = path.join(GENERATED_DIR, 'transcriptions', `${basename}.txt`);
-        await fs.writeFile(transcriptionPath, match[1]);
-        console.log(`${colors.GREEN}✓ Transcribed: ${basename}.txt${colors.NC}`);
-      } else {
-        console.log(`${colors.RED}✗ Failed: ${basename}.txt${colors.NC}`);
-      }
-    } catch {
-      console.log(`${colors.RED}✗ Failed: ${basename}.txt${colors.NC}`);
+      fileConfig = JSON.parse(await fs.readFile(configPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not parse ${configPath}: ${error.message}`);
     }
+    if (!fileConfig || typeof fileConfig !== 'object' || Array.isArray(fileConfig)) {
+      throw new Error(`${configPath} must contain a JSON object`);
+    }
+    mergeConfigObject(config, fileConfig, configPath, errors);
+  } else if (configArg) {
+    throw new Error(`Config file not found: ${configPath}`);
   }
-}
 
-// Generate template title_cards.json when Yakety is not available
-async function generateTemplateForManualEdit() {
-  console.log(`\n${colors.BLUE}Step 5: Generating template files for manual editing...${colors.NC}`);
-  
+  if (overrides) {
+    mergeConfigObject(config, overrides, 'config option', errors);
+  }
+
+  // CLI overrides take precedence over the config file
+  for (const option of CONFIG_OPTIONS) {
+    if (!option.flag) continue;
+    const raw = getArgValue(args, option.flag);
+    if (raw === undefined) continue;
+    if (raw === null) {
+      errors.push(`${option.flag} requires a value`);
+      continue;
+    }
+
+    // Numeric flags that don't parse are passed on as strings so the error shows what was given
+    let value;
+    if (option.type === 'list') {
+      value = raw.split(',').map(item => item.trim()).filter(Boolean);
+    } else {
+      value = option.type === 'string' || raw.trim() === '' || isNaN(Number(raw)) ? raw : Number(raw);
+    }
+    const error = validateConfigValue(option, value);
+    if (error) {
+      errors.push(`${option.flag} ${error}`);
+    } else {
+      setConfigValue(config, option.key, normalizeConfigValue(option, value));
+    }
+  }
+
+  // Shorthands for --on-failure
+  if (args.includes('--fail-fast')) {
+    config.onFailure = 'fail-fast';
+  } else if (args.includes('--keep-going')) {
+    config.onFailure = 'keep-going';
+  }
+
+  const theme = config.titleCards.theme;
+  if (!BUILTIN_THEMES[theme] && !isThemeDirectory(theme)) {
+    errors.push(`Unknown theme "${theme}" (built-in themes: ${Object.keys(BUILTIN_THEMES).join(', ')}; a theme directory needs template.html and/or style.css)`);
+  }
+
+  if (config.sources.intro && !existsSync(config.sources.intro)) {
+    errors.push(`Intro clip not found: ${config.sources.intro}`);
+  }
+
+  if (config.overlays.logo && !existsSync(config.overlays.logo)) {
+    errors.push(`Logo not found: ${config.overlays.logo}`);
+  }
+
+  if (config.jumpCuts.keepPause >= config.jumpCuts.minPause) {
+    errors.push(`jumpCuts.keepPause (${config.jumpCuts.keepPause}) must be shorter than jumpCuts.minPause (${config.jumpCuts.minPause})`);
+  }
+
+  // Title cards are rendered at the output resolution so the final concat has one frame size
+  const resolution = errors.length === 0 ? parseResolution(config.video.resolution) : null;
+  const { width: titleWidth, height: titleHeight } = config.titleCards;
+  if (resolution && (titleWidth !== DEFAULT_CONFIG.titleCards.width || titleHeight !== DEFAULT_CONFIG.titleCards.height) &&
+      (titleWidth !== resolution.width || titleHeight !== resolution.height)) {
+    errors.push(`titleCards.width and titleCards.height (${titleWidth}x${titleHeight}) conflict with the resolution ${config.video.resolution} - title cards are rendered at the resolution, so leave them out`);
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n${errors.map(e => `  - ${e}`).join('\n')}`);
+  }
+
+  if (resolution) {
+    config.titleCards.width = resolution.width;
+    config.titleCards.height = resolution.height;
+  }
+
+  return config;
+}
+
+// Check dependencies. Returns the name of the transcription backend to use, or null
+// if there is none and title cards have to be written by hand.
+function checkDependencies(config) {
+  log(`${colors.BLUE}Checking dependencies...${colors.NC}`);
+
+  const missingDeps = [];
+
+  if (!commandExists('ffmpeg')) missingDeps.push('ffmpeg');
+  if (!commandExists('jq')) missingDeps.push('jq');
+
+  // Transcription is optional, unless a backend was chosen explicitly
+  const transcriber = resolveTranscriber(config);
+  if (transcriber.name) {
+    log(`Transcription: ${transcriber.name}`);
+  } else if (config.transcription.backend === 'auto') {
+    log(`${colors.YELLOW}Note: No transcription backend available (${transcriber.reason}) - will generate template for manual editing${colors.NC}`);
+  } else if (config.transcription.backend !== 'none') {
+    missingDeps.push(`transcription backend ${config.transcription.backend} (${transcriber.reason})`);
+  }
+
+  // Check for Chrome
+  if (!findChrome()) {
+    missingDeps.push('Chrome/Chromium for title card generation');
+  }
+
+  if (missingDeps.length > 0) {
+    throw new Error(`Missing required dependencies: ${missingDeps.join(', ')}`);
+  }
+
+  log(`${colors.GREEN}All required dependencies found!${colors.NC}`);
+  return transcriber.name;
+}
+
+// Base name of the intro clip picked up from the project directory
+const INTRO_NAME = '00-intro';
+
+// Get the source videos in the current directory: the videos named after their section (XX-name.ext)
+async function getSourceFiles(config) {
+  return (await findVideoFiles(config)).filter(f => /^\d{2}-/.test(f));
+}
+
+// Get all videos in the current directory, skipping our own output and the intro clip
+async function findVideoFiles(config) {
+  const files = await fs.readdir('.');
+  const extensions = config.sources.extensions;
+  const intro = findIntroClip(config, files);
+  return files.filter(f => extensions.includes(path.extname(f).toLowerCase()) &&
+                           path.resolve(f) !== path.resolve(config.output) &&
+                           !(intro && path.resolve(f) === path.resolve(intro)));
+}
+
+// Find the intro clip: sources.intro, or a video named 00-intro in the project directory.
+// Returns null if there is none.
+function findIntroClip(config, files) {
+  if (config.sources.intro) {
+    return config.sources.intro;
+  }
+  return files.find(f => path.basename(f, path.extname(f)) === INTRO_NAME &&
+                         config.sources.extensions.includes(path.extname(f).toLowerCase())) || null;
+}
+
+// Check if source files follow naming convention
+function checkSourceFileNaming(sourceFiles) {
+  const numberedFiles = [];
+  const unnumberedFiles = [];
+  
+  for (const file of sourceFiles) {
+    if (file.match(/^(\d{2})-/)) {
+      numberedFiles.push(file);
+    } else {
+      unnumberedFiles.push(file);
+    }
+  }
+
+  // Sources differing only in extension would be converted to the same MP4
+  const byName = new Map();
+  for (const file of numberedFiles) {
+    const name = path.basename(file, path.extname(file));
+    byName.set(name, [...(byName.get(name) || []), file]);
+  }
+  const conflictingFiles = [...byName.values()].filter(files => files.length > 1);
+  
+  return { numberedFiles, unnumberedFiles, conflictingFiles };
+}
+
+// Find the source videos and throw if any is misnamed or two would convert to the same file
+async function checkSources(config) {
+  const videoFiles = await findVideoFiles(config);
+  const extensionList = config.sources.extensions.join(', ');
+  if (videoFiles.length === 0) {
+    throw new Error(`No source videos (${extensionList}) found in current directory`);
+  }
+
+  const { numberedFiles, unnumberedFiles, conflictingFiles } = checkSourceFileNaming(videoFiles);
+
+  // A misnamed recording would silently drop out of the talk, so every other video is an error
+  if (unnumberedFiles.length > 0) {
+    logError(`\n${colors.YELLOW}Files that need to be renamed:${colors.NC}`);
+
+    for (const file of unnumberedFiles) {
+      logError(`  ❌ ${file}`);
+    }
+
+    logError(`\n${colors.BLUE}Examples of correct naming:${colors.NC}`);
+    logError(`  ✓ 01-introduction.mov`);
+    logError(`  ✓ 02-main-content.mkv`);
+    logError(`  ✓ 03-conclusion.mp4`);
+
+    logError(`\n${colors.YELLOW}To rename a file, use:${colors.NC}`);
+    logError(`  mv "${unnumberedFiles[0]}" "01-${unnumberedFiles[0]}"`);
+
+    throw new Error('Source videos must follow the naming convention XX-name.ext, where XX is a two-digit section number (01, 02, etc.)');
+  }
+
+  if (conflictingFiles.length > 0) {
+    const conflicts = conflictingFiles.map(files => files.join(', ')).join('; ');
+    throw new Error(`Source videos must have unique names apart from their extension: ${conflicts}`);
+  }
+
+  log(`${colors.GREEN}Found ${numberedFiles.length} properly named source video(s)${colors.NC}`);
+  return numberedFiles;
+}
+
+// ffprobe arguments that list a source's streams with their dimensions
+function probeSourceArgs(file) {
+  return ['-v', 'error', '-show_entries', 'stream=codec_type,width,height', '-of', 'json', file];
+}
+
+// Probe a source's video dimensions and whether it has an audio stream
+function probeSource(file) {
+  const result = exec(formatCommand('ffprobe', probeSourceArgs(file)), true);
+  const streams = JSON.parse(result).streams || [];
+  const video = streams.find(stream => stream.codec_type === 'video');
+  if (!video) {
+    throw new Error(`No video stream in ${file}`);
+  }
+  return {
+    width: video.width,
+    height: video.height,
+    hasAudio: streams.some(stream => stream.codec_type === 'audio')
+  };
+}
+
+// Describe the audio extraction of each section file (XX-section.mp4) in sectionDir
+async function planAudioExtraction(manifest, sectionDir, files, planned) {
+  const sectionFiles = files.filter(f => f.match(/^\d{2}-section\.mp4$/)).sort();
+  const jobs = [];
+
+  for (const file of sectionFiles) {
+    const filename = path.basename(file, '.mp4');
+    const mp4Path = path.join(sectionDir, file);
+    const outputPath = path.join(GENERATED_DIR, 'audio', filename + '.wav');
+
+    const fp = fingerprint(await plannedFingerprint(manifest, planned, mp4Path));
+    planned.set(outputPath, fp);
+    jobs.push({
+      key: file,
+      name: `${filename}.wav`,
+      input: mp4Path,
+      output: outputPath,
+      fp,
+      upToDate: isUpToDate(manifest, 'audio', file, fp),
+      args: [
+        '-i', mp4Path,
+        '-vn',
+        '-acodec', 'pcm_s16le',
+        '-ar', '16000',
+        '-ac', '1',
+        '-y',
+        outputPath
+      ]
+    });
+  }
+
+  return jobs;
+}
+
+// Step 3: Extract audio from merged section MP4 files
+async function extractAudio(config, manifest) {
+  startStep('extractAudio', 'Step 3: Extracting audio from merged section MP4 files...');
+
+  const sectionDir = sectionsDir(config);
+  const jobs = await planAudioExtraction(manifest, sectionDir, await fs.readdir(sectionDir), new Map());
+
+  await runPool(jobs, config.jobs, async (job) => {
+    if (job.upToDate) {
+      log(`${colors.GREEN}✓ Up to date: ${job.name}${colors.NC}`);
+      return;
+    }
+
+    log(`Extracting audio from ${job.key}...`);
+
+    try {
+      await execFFmpeg(job.args, `Extracting ${path.basename(job.name, '.wav')}`);
+      await recordStep(manifest, 'audio', job.key, job.fp, [job.output]);
+      log(`${colors.GREEN}✓ Extracted: ${job.name}${colors.NC}`);
+    } catch (error) {
+      recordFailure(config, job.name, error, `Failed: ${job.name}`);
+    }
+  });
+
+  await pruneStep(manifest, 'audio', jobs.map(job => job.key));
+}
+
+// Step 4: Transcribe audio files (if a transcription backend is available)
+async function transcribeAudio(transcriber, config, manifest) {
+  if (!transcriber) {
+    log(`\n${colors.YELLOW}Step 4: Skipping transcription (no transcription backend available)${colors.NC}`);
+    return false;
+  }
+
+  startStep('transcribe', `Step 4: Transcribing audio files with ${transcriber}...`);
+
+  const audioDir = path.join(GENERATED_DIR, 'audio');
+  const jobs = await planTranscriptions(config, manifest, transcriber, await fs.readdir(audioDir), new Map());
+  const backend = TRANSCRIPTION_BACKENDS[transcriber];
+
+  await runPool(jobs, config.jobs, async (job) => {
+    if (job.upToDate) {
+      log(`${colors.GREEN}✓ Up to date: ${job.basename}.txt${colors.NC}`);
+      return;
+    }
+
+    log(`Transcribing ${job.basename}...`);
+
+    try {
+      const segments = await backend.transcribe(job, config);
+
+      // A section without speech, e.g. a demo, is kept with an empty transcript and no subtitles
+      await fs.writeFile(job.transcriptionPath, segments.map(s => s.text).join(' '));
+      await fs.writeFile(job.segmentsPath, JSON.stringify({ segments }, null, 2));
+      await recordStep(manifest, 'transcribe', job.key, job.fp, [job.transcriptionPath, job.segmentsPath]);
+      if (segments.length > 0) {
+        log(`${colors.GREEN}✓ Transcribed: ${job.basename}.txt (${segments.length} segments)${colors.NC}`);
+      } else {
+        logWarning(`No speech found in ${job.basename} - it has no subtitles`);
+      }
+    } catch (error) {
+      if (error.failures) throw error;  // Failing fast
+      recordFailure(config, `${job.basename}.txt`, error, `Failed: ${job.basename}.txt (${error.message})`);
+    }
+  });
+
+  await pruneStep(manifest, 'transcribe', jobs.map(job => job.key));
+}
+
+// Describe the transcription of each extracted WAV file with the given backend
+async function planTranscriptions(config, manifest, transcriber, audioFiles, planned) {
+  const backend = TRANSCRIPTION_BACKENDS[transcriber];
+  const audioDir = path.join(GENERATED_DIR, 'audio');
+  const wavFiles = audioFiles.filter(f => f.endsWith('.wav')).sort();
+  const jobs = [];
+
+  for (const wavFile of wavFiles) {
+    const basename = path.basename(wavFile, '.wav');
+    const job = {
+      key: wavFile,
+      basename,
+      input: path.join(audioDir, wavFile),
+      transcriptionPath: path.join(GENERATED_DIR, 'transcriptions', `${basename}.txt`),
+      segmentsPath: path.join(GENERATED_DIR, 'transcriptions', `${basename}.json`)
+    };
+
+    // Files the backend reads besides the audio, like existing transcripts, are part of the fingerprint
+    const sources = backend.sources ? backend.sources(job, config) : [];
+    const sourceHashes = [];
+    for (const file of sources) {
+      sourceHashes.push(await hashFile(manifest, file));
+    }
+
+    job.sources = sources;
+    job.fp = fingerprint(await plannedFingerprint(manifest, planned, job.input), ...backend.settings(config), ...sourceHashes);
+    job.upToDate = isUpToDate(manifest, 'transcribe', wavFile, job.fp);
+    job.commands = backend.commands(job, config);
+    jobs.push(job);
+  }
+
+  return jobs;
+}
+
+// Transcription backends turn a section's WAV file into timed segments [{ start, end, text }].
+// unavailable() says why a backend can't run (or returns null), settings() lists the settings its
+// output depends on, commands() describes what it runs for --plan and transcribe() runs it.
+const TRANSCRIPTION_BACKENDS = {
+  // Yakety only returns text, so the audio is transcribed chunk by chunk between silences
+  yakety: {
+    unavailable: config => existsSync(config.transcription.yakety) ? null : `${config.transcription.yakety} not found`,
+    settings: config => [config.transcription.yakety],
+    commands: (job, config) => {
+      const chunkPath = path.join(chunkDirFor(job.basename), `${job.basename}-NNN.wav`);
+      return [
+        ['ffmpeg', silenceDetectArgs(job.input)],
+        ['ffmpeg', chunkExtractArgs(job.input, '<start>', '<length>', chunkPath)],
+        [config.transcription.yakety, [chunkPath]]
+      ];
+    },
+    transcribe: (job, config) => transcribeWithTimestamps(job.input, job.basename,
+      chunkPath => runYakety(config.transcription.yakety, chunkPath))
+  },
+
+  // whisper.cpp writes timestamped segments as JSON next to the given output base name
+  whisper: {
+    unavailable: config => {
+      const { whisper, model } = config.transcription;
+      if (!commandExists(whisper) && !existsSync(whisper)) return `${whisper} not found`;
+      if (!model) return 'no model set, use --whisper-model or transcription.model';
+      return existsSync(model) ? null : `model ${model} not found`;
+    },
+    settings: config => ['whisper', config.transcription.whisper, config.transcription.model, config.transcription.language],
+    commands: (job, config) => [[config.transcription.whisper, whisperArgs(job, config)]],
+    transcribe: async (job, config) => {
+      const outputPath = `${whisperOutputBase(job)}.json`;
+      try {
+        await runCommand(config.transcription.whisper, whisperArgs(job, config));
+        return parseTranscript(await fs.readFile(outputPath, 'utf8'), job.input);
+      } finally {
+        await fs.rm(outputPath, { force: true });
+      }
+    }
+  },
+
+  // Any command that writes a transcript (text, subtitles or JSON) to {output}
+  command: {
+    unavailable: config => config.transcription.command ? null : 'no command set, use --transcribe-command or transcription.command',
+    settings: config => ['command', config.transcription.command],
+    commands: (job, config) => [['sh', ['-c', expandCommandTemplate(config.transcription.command, job)]]],
+    transcribe: async (job, config) => {
+      const outputPath = commandOutputPath(job);
+      try {
+        await runCommand('sh', ['-c', expandCommandTemplate(config.transcription.command, job)]);
+        return parseTranscript(await fs.readFile(outputPath, 'utf8'), job.input);
+      } finally {
+        await fs.rm(outputPath, { force: true });
+      }
+    }
+  },
+
+  // Transcripts written beforehand, e.g. exported from an editor or a transcription service
+  existing: {
+    unavailable: config => existsSync(config.transcription.dir) ? null : `directory ${config.transcription.dir} not found`,
+    settings: () => ['existing'],
+    sources: (job, config) => {
+      const file = findExistingTranscript(config.transcription.dir, job.basename);
+      return file ? [file] : [];
+    },
+    commands: () => [],
+    transcribe: async (job, config) => {
+      if (job.sources.length === 0) {
+        throw new Error(`no transcript for ${job.basename} in ${config.transcription.dir}`);
+      }
+      return parseTranscript(await fs.readFile(job.sources[0], 'utf8'), job.input);
+    }
+  }
+};
+
+// Pick the transcription backend to use. Returns { name } or { name: null, reason }.
+function resolveTranscriber(config) {
+  const choice = config.transcription.backend;
+  if (choice === 'none') {
+    return { name: null, reason: 'transcription is turned off' };
+  }
+
+  const reasons = [];
+  for (const name of choice === 'auto' ? ['yakety', 'whisper'] : [choice]) {
+    const reason = TRANSCRIPTION_BACKENDS[name].unavailable(config);
+    if (!reason) return { name, reason: null };
+    reasons.push(`${name}: ${reason}`);
+  }
+  return { name: null, reason: reasons.join('; ') };
+}
+
+// Run Yakety on a single WAV file and return the transcribed text
+async function runYakety(yaketyPath, wavPath) {
+  const { stdout, stderr } = await runCommand(yaketyPath, [wavPath]);
+  const result = stdout + stderr;
+
+  // Extract transcription from output
+  const match = result.match(/Transcription: "(.*?)"/);
+  return match && match[1] ? match[1].trim() : null;
+}
+
+// whisper.cpp arguments: JSON output without progress prints
+function whisperArgs(job, config) {
+  return [
+    '-m', config.transcription.model,
+    '-f', job.input,
+    '-l', config.transcription.language,
+    '-oj',
+    '-of', whisperOutputBase(job),
+    '-np'
+  ];
+}
+
+// whisper.cpp appends .json to this path
+function whisperOutputBase(job) {
+  return path.join(GENERATED_DIR, 'transcriptions', `${job.basename}.whisper`);
+}
+
+// Where a command backend writes its transcript
+function commandOutputPath(job) {
+  return path.join(GENERATED_DIR, 'transcriptions', `${job.basename}.command.out`);
+}
+
+// Fill in the {input} and {output} placeholders of a command template, quoted for the shell
+function expandCommandTemplate(template, job) {
+  return template
+    .replace(/\{input\}/g, formatCommand(path.resolve(job.input), []))
+    .replace(/\{output\}/g, formatCommand(path.resolve(commandOutputPath(job)), []));
+}
+
+// Validate a transcription command template, returning an error message or null
+function checkCommandTemplate(value) {
+  return value.includes('{input}') && value.includes('{output}')
+    ? null
+    : `must contain the {input} and {output} placeholders (got ${JSON.stringify(value)})`;
+}
+
+// Find the existing transcript of a section, named after its number or its WAV file
+// (01.srt, 01-section.json, ...)
+function findExistingTranscript(dir, basename) {
+  for (const name of [basename.substring(0, 2), basename]) {
+    for (const extension of ['.json', '.srt', '.vtt', '.txt']) {
+      const file = path.join(dir, name + extension);
+      if (existsSync(file)) return file;
+    }
+  }
+  return null;
+}
+
+// Parse a transcript into segments. Accepts maketalk's own { segments } JSON, whisper.cpp
+// JSON, SRT or WebVTT subtitles, or plain text, which becomes one segment for the whole file.
+function parseTranscript(content, wavPath) {
+  const trimmed = content.trim();
+  if (trimmed === '') return [];
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    const data = JSON.parse(trimmed);
+    if (Array.isArray(data.transcription)) {
+      // whisper.cpp: offsets are in milliseconds
+      return data.transcription
+        .map(item => ({ start: item.offsets.from / 1000, end: item.offsets.to / 1000, text: item.text.trim() }))
+        .filter(segment => segment.text);
+    }
+    const segments = Array.isArray(data) ? data : data.segments;
+    if (!Array.isArray(segments)) {
+      throw new Error('unknown transcript JSON format');
+    }
+    return segments
+      .map(segment => ({ start: round3(segment.start), end: round3(segment.end), text: String(segment.text).trim() }))
+      .filter(segment => segment.text);
+  }
+
+  if (trimmed.includes('-->')) {
+    return parseSubtitleCues(trimmed);
+  }
+
+  return [{ start: 0, end: round3(probeDuration(wavPath)), text: trimmed.replace(/\s+/g, ' ') }];
+}
+
+// Parse SRT or WebVTT cues into segments
+function parseSubtitleCues(content) {
+  const parseTime = time => {
+    const [hms, ms = '0'] = time.replace(',', '.').split('.');
+    const parts = hms.split(':').map(Number);
+    const seconds = parts.reduce((total, part) => total * 60 + part, 0);
+    return round3(seconds + Number(`0.${ms}`));
+  };
+
+  const segments = [];
+  for (const block of content.split(/\r?\n\s*\r?\n/)) {
+    const lines = block.split(/\r?\n/);
+    const timeIndex = lines.findIndex(line => line.includes('-->'));
+    if (timeIndex === -1) continue;
+
+    const [start, end] = lines[timeIndex].split('-->').map(part => part.trim().split(/\s+/)[0]);
+    const text = lines.slice(timeIndex + 1).join(' ').replace(/<[^>]+>/g, '').trim();
+    if (text) {
+      segments.push({ start: parseTime(start), end: parseTime(end), text });
+    }
+  }
+  return segments;
+}
+
+// Transcribe a WAV file chunk by chunk, split at silences, so each piece of text gets a time range.
+// transcribeChunk returns the text of one chunk file.
+async function transcribeWithTimestamps(wavPath, basename, transcribeChunk) {
+  const duration = probeDuration(wavPath);
+  const chunks = getSpeechChunks(await detectSilences(wavPath), duration);
+  const chunkDir = chunkDirFor(basename);
+  await fs.mkdir(chunkDir, { recursive: true });
+
+  const segments = [];
+  try {
+    for (let i = 0; i < chunks.length; i++) {
+      const { start, end } = chunks[i];
+      const chunkPath = path.join(chunkDir, `${basename}-${String(i).padStart(3, '0')}.wav`);
+      await runCommand('ffmpeg', chunkExtractArgs(wavPath, start.toFixed(3), (end - start).toFixed(3), chunkPath));
+
+      const text = await transcribeChunk(chunkPath);
+      if (text) {
+        segments.push({ start: round3(start), end: round3(end), text });
+      }
+    }
+  } finally {
+    await fs.rm(chunkDir, { recursive: true, force: true });
+  }
+
+  return segments;
+}
+
+// One chunk directory per file, so parallel transcriptions don't clean up each other's chunks
+function chunkDirFor(basename) {
+  return path.join(GENERATED_DIR, 'audio', 'chunks', basename);
+}
+
+// ffmpeg arguments that cut one speech chunk out of a WAV file
+function chunkExtractArgs(wavPath, start, length, chunkPath) {
+  return [
+    '-v', 'error',
+    '-ss', start,
+    '-t', length,
+    '-i', wavPath,
+    '-y',
+    chunkPath
+  ];
+}
+
+function round3(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Generate template title_cards.json when no transcription backend is available
+async function generateTemplateForManualEdit() {
+  startStep('titles', 'Step 5: Generating template files for manual editing...');
+  
   // Get all section videos
   const convertedDir = path.join(GENERATED_DIR, 'converted_videos');
   const mp4Files = await fs.readdir(convertedDir);
@@ -365,26 +1742,26 @@ async function generateTemplateForManualEdit() {
   };
   await fs.writeFile('title_cards.json', JSON.stringify(titleCardsJson, null, 2));
   
-  console.log(`\n${colors.GREEN}✓ Created template files:${colors.NC}`);
-  console.log(`   - sections.json (for reference)`);
-  console.log(`   - title_cards.json (please edit this)`);
-  console.log(`\n${colors.YELLOW}Next steps:${colors.NC}`);
-  console.log(`1. Edit title_cards.json with your section titles and descriptions`);
-  console.log(`2. Run: maketalk --continue`);
-  console.log(`\n${colors.BLUE}Tip:${colors.NC} You can preview title cards before finalizing:`);
-  console.log(`   maketalk --preview 01 "Your Title" "Your Description"`);
+  log(`\n${colors.GREEN}✓ Created template files:${colors.NC}`);
+  log(`   - sections.json (for reference)`);
+  log(`   - title_cards.json (please edit this)`);
+  log(`\n${colors.YELLOW}Next steps:${colors.NC}`);
+  log(`1. Edit title_cards.json with your section titles and descriptions`);
+  log(`2. Run: maketalk --continue`);
+  log(`\n${colors.BLUE}Tip:${colors.NC} You can preview title cards before finalizing:`);
+  log(`   maketalk --preview 01 "Your Title" "Your Description"`);
 }
 
-// Step 5: Generate claude-danger prompt
-async function generateClaudePrompt() {
-  console.log(`\n${colors.BLUE}Step 5: Checking for existing title cards or generating claude-danger prompt...${colors.NC}`);
+// Step 5: Generate claude-danger prompt, or with titles.llm have the titles written right away
+async function generateClaudePrompt(config, interaction) {
+  startStep('titles', 'Step 5: Checking for existing title cards or generating claude-danger prompt...');
 
   // Check if title_cards.json already exists
   if (existsSync('title_cards.json')) {
-    console.log(`\n${colors.YELLOW}Found existing title_cards.json${colors.NC}`);
+    log(`\n${colors.YELLOW}Found existing title_cards.json${colors.NC}`);
 
     // Read the existing title cards
-    const titleCardsData = JSON.parse(await fs.readFile('title_cards.json', 'utf8'));
+    const titleCardsData = await readTitleCards();
     const existingSections = new Set(titleCardsData.title_cards.map(card => card.number));
 
     // Get all section videos to check if they match
@@ -397,28 +1774,25 @@ async function generateClaudePrompt() {
     const allSectionsHaveTitles = Array.from(videoSections).every(section => existingSections.has(section));
 
     if (allSectionsHaveTitles) {
-      console.log('\nThe existing title_cards.json has title cards for all video sections.');
-      console.log('\nDo you want to use the existing title cards? (y/n):');
-
-      const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout
-      });
+      log('\nThe existing title_cards.json has title cards for all video sections.');
 
-      const answer = await new Promise(resolve => {
-        rl.question('', answer => {
-          rl.close();
-          resolve(answer.trim().toLowerCase());
-        });
-      });
+      let reuse = interaction.reuseTitles;
+      if (reuse === null && interaction.assumeYes) {
+        reuse = true;
+      }
+      if (reuse === null) {
+        const answer = (await askUser('Do you want to use the existing title cards? (y/n):', interaction,
+          'Pass --reuse-titles or --no-reuse-titles to decide whether to keep title_cards.json.')).toLowerCase();
+        reuse = answer === 'y' || answer === 'yes';
+      }
 
-      if (answer === 'y' || answer === 'yes') {
-        console.log(`\n${colors.GREEN}Using existing title_cards.json${colors.NC}`);
+      if (reuse) {
+        log(`\n${colors.GREEN}Using existing title_cards.json${colors.NC}`);
         return true; // Signal to skip prompt generation but continue
       }
     } else {
-      console.log(`\n${colors.YELLOW}Warning: Existing title_cards.json doesn't match all video sections${colors.NC}`);
-      console.log('Will generate a new prompt for claude-danger...');
+      logWarning(`Existing title_cards.json doesn't match all video sections`);
+      log('Will generate a new prompt for claude-danger...');
     }
   }
 
@@ -493,53 +1867,321 @@ Here are the transcriptions:
   const fullPrompt = promptTemplate + combinedContent;
   await fs.writeFile(path.join(GENERATED_DIR, 'claude_prompt.txt'), fullPrompt);
 
-  console.log(`\n${colors.GREEN}Claude prompt saved to: ${GENERATED_DIR}/claude_prompt.txt${colors.NC}`);
-  console.log(`${colors.YELLOW}Instructions:${colors.NC}`);
-  console.log('1. Run: claude-danger');
-  console.log(`2. Copy and paste the contents of ${GENERATED_DIR}/claude_prompt.txt`);
-  console.log('3. Iterate on the titles until you\'re happy');
-  console.log('4. Have Claude save the final titles to title_cards.json (in this directory)');
-  console.log('5. Run this script again with --continue flag');
+  if (config.titles.llm) {
+    try {
+      // Every section video needs a card, even if its transcription failed
+      const convertedFiles = await fs.readdir(path.join(GENERATED_DIR, 'converted_videos'));
+      const sectionNumbers = convertedFiles.filter(f => f.match(/^\d{2}-section\.mp4$/)).map(f => f.substring(0, 2)).sort();
+      const titleCardsData = await generateTitlesWithLLM(config, fullPrompt, sectionNumbers);
+      await fs.writeFile('title_cards.json', JSON.stringify(titleCardsData, null, 2) + '\n');
+      log(`${colors.GREEN}✓ Wrote title_cards.json with ${titleCardsData.title_cards.length} title cards${colors.NC}`);
+      return true; // Continue straight to the title cards
+    } catch (error) {
+      // The build fails, but the prompt is kept so the titles can still be written by hand
+      recordFailure(config, 'title_cards.json', error, `Could not generate titles with ${config.titles.llm}: ${error.message}`);
+    }
+  }
+
+  log(`\n${colors.GREEN}Claude prompt saved to: ${GENERATED_DIR}/claude_prompt.txt${colors.NC}`);
+  log(`${colors.YELLOW}Instructions:${colors.NC}`);
+  log('1. Run: claude-danger');
+  log(`2. Copy and paste the contents of ${GENERATED_DIR}/claude_prompt.txt`);
+  log('3. Iterate on the titles until you\'re happy');
+  log('4. Have Claude save the final titles to title_cards.json (in this directory)');
+  log('5. Run this script again with --continue flag');
 }
 
-// Generate title card HTML
-function generateTitleCardHTML(number, title, description, width = 3456, height = 2234) {
-  return `<!DOCTYPE html>
-<html>
-<head>
-<style>
-@import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;600&display=swap');
+// Timeout for a single chat completion request; local models can take a while
+const LLM_TIMEOUT_MS = 5 * 60 * 1000;
 
-* {
-    margin: 0;
-    padding: 0;
-    box-sizing: border-box;
-}
+// Send the title prompt to an OpenAI-compatible chat completions endpoint and return
+// validated title card data. Replies that aren't valid are sent back with the problems
+// found, up to titles.retries more times.
+async function generateTitlesWithLLM(config, prompt, sectionNumbers) {
+  const url = `${config.titles.llm.replace(/\/+$/, '')}/chat/completions`;
+  log(`\n${colors.BLUE}Generating titles with ${url}...${colors.NC}`);
 
-body {
-    width: ${width}px;
-    height: ${height}px;
-    background: #faf8f3;
-    font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
-    position: relative;
-    overflow: hidden;
-    display: flex;
-    align-items: center;
-    justify-content: center;
-}
+  const messages = [
+    { role: 'system', content: 'You write title cards for video presentations. Reply with the title_cards JSON object only, without any other text.' },
+    { role: 'user', content: prompt }
+  ];
 
-/* Main container */
-.container {
-    width: 75%;
-    height: 65%;
-    position: relative;
-    display: flex;
-    flex-direction: column;
-    align-items: center;
-    justify-content: center;
-}
+  for (let attempt = 0; attempt <= config.titles.retries; attempt++) {
+    const body = { messages, temperature: 0.7 };
+    if (config.titles.model) {
+      body.model = config.titles.model;
+    }
 
-/* Section number - refined */
+    const response = await postJSONWithRetries(url, body, config.titles.retries);
+    const message = response.choices && response.choices[0] && response.choices[0].message;
+    if (!message || typeof message.content !== 'string') {
+      throw new Error('response has no choices[0].message.content');
+    }
+
+    let data = null;
+    let errors;
+    try {
+      data = extractJSON(message.content);
+      errors = validateTitleCards(data, sectionNumbers);
+    } catch (error) {
+      errors = [error.message];
+    }
+    if (errors.length === 0) {
+      // Keep only the fields maketalk uses, in section order
+      const cards = sectionNumbers.map(number => data.title_cards.find(card => card.number === number));
+      return { title_cards: cards.map(({ number, title, description }) => ({ number, title: title.trim(), description: description.trim() })) };
+    }
+
+    log(`${colors.YELLOW}Attempt ${attempt + 1}: invalid title cards (${errors.join('; ')})${colors.NC}`);
+    messages.push(
+      { role: 'assistant', content: message.content },
+      { role: 'user', content: `That is not valid: ${errors.join('; ')}. Reply with the corrected title_cards JSON object only.` }
+    );
+  }
+
+  throw new Error(`no valid title cards after ${config.titles.retries + 1} attempts`);
+}
+
+// Parse the JSON object in a model reply, which may be wrapped in a code fence or text
+function extractJSON(text) {
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1 || end < start) {
+    throw new Error('reply contains no JSON object');
+  }
+  try {
+    return JSON.parse(text.substring(start, end + 1));
+  } catch (error) {
+    throw new Error(`reply is not valid JSON (${error.message})`);
+  }
+}
+
+// Check title card data against the sections, returning a list of problems. Pass null
+// sectionNumbers to skip matching the cards to sections.
+function validateTitleCards(data, sectionNumbers) {
+  if (!data || typeof data !== 'object' || Array.isArray(data) || !Array.isArray(data.title_cards)) {
+    return ['expected an object with a "title_cards" array'];
+  }
+
+  const errors = [];
+  const seen = new Set();
+  data.title_cards.forEach((card, i) => {
+    const label = card && typeof card.number === 'string' ? `card ${card.number}` : `card at index ${i}`;
+    if (!card || typeof card !== 'object') {
+      errors.push(`${label} is not an object`);
+      return;
+    }
+    if (typeof card.number !== 'string' || !/^\d{2}$/.test(card.number)) {
+      errors.push(`${label}: "number" must be a two-digit string like "01"`);
+    } else if (seen.has(card.number)) {
+      errors.push(`${label} appears more than once`);
+    } else if (sectionNumbers && !sectionNumbers.includes(card.number)) {
+      errors.push(`${label} has no matching section (sections: ${sectionNumbers.join(', ') || 'none'})`);
+    }
+    seen.add(card.number);
+    if (typeof card.title !== 'string' || card.title.trim() === '') {
+      errors.push(`${label}: "title" must be a non-empty string`);
+    }
+    if (typeof card.description !== 'string') {
+      errors.push(`${label}: "description" must be a string`);
+    }
+  });
+
+  const missing = (sectionNumbers || []).filter(number => !seen.has(number));
+  if (missing.length > 0) {
+    errors.push(`missing cards for sections ${missing.join(', ')}`);
+  }
+
+  if (data.talk !== undefined) {
+    errors.push(...validateTalk(data.talk));
+  }
+  return errors;
+}
+
+// Check the talk block of title_cards.json, returning a list of problems
+function validateTalk(talk) {
+  if (!talk || typeof talk !== 'object' || Array.isArray(talk)) {
+    return ['talk must be an object'];
+  }
+
+  const errors = [];
+  for (const key of Object.keys(talk)) {
+    if (!['title', 'author', 'date', 'end'].includes(key)) {
+      errors.push(`talk has unknown setting "${key}" (use title, author, date and end)`);
+    }
+  }
+  for (const key of ['title', 'author', 'date']) {
+    if (talk[key] !== undefined && typeof talk[key] !== 'string') {
+      errors.push(`talk.${key} must be a string`);
+    }
+  }
+
+  const end = talk.end;
+  if (end === undefined || end === true) {
+    return errors;
+  }
+  if (!end || typeof end !== 'object' || Array.isArray(end)) {
+    errors.push('talk.end must be true or an object with title, credits and links');
+    return errors;
+  }
+  for (const key of Object.keys(end)) {
+    if (!['title', 'credits', 'links'].includes(key)) {
+      errors.push(`talk.end has unknown setting "${key}" (use title, credits and links)`);
+    }
+  }
+  if (end.title !== undefined && typeof end.title !== 'string') {
+    errors.push('talk.end.title must be a string');
+  }
+  for (const key of ['credits', 'links']) {
+    const value = end[key];
+    if (value !== undefined && typeof value !== 'string' && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+      errors.push(`talk.end.${key} must be a string or a list of strings`);
+    }
+  }
+  return errors;
+}
+
+// Read title_cards.json and check it, with one card per section if sectionNumbers are given.
+// Throws with every problem found.
+async function readTitleCards(sectionNumbers = null) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile('title_cards.json', 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse title_cards.json: ${error.message}`);
+  }
+
+  const errors = validateTitleCards(data, sectionNumbers);
+  if (errors.length > 0) {
+    throw new Error(`Invalid title_cards.json:\n  ${errors.join('\n  ')}`);
+  }
+  return data;
+}
+
+// The config with the title card size set to the sections' frame size, so the final concat has
+// one frame size. `size` is the conversion target if it is known; otherwise the first section
+// video is probed. Before there are any sections, titleCards.width and titleCards.height apply.
+async function withSectionFrameSize(config, size = null) {
+  if (!size) {
+    const numbers = await findSectionNumbers(config);
+    if (!numbers) return config;
+    size = probeSource(path.join(sectionsDir(config), `${numbers[0]}-section.mp4`));
+  }
+
+  const { width, height } = config.titleCards;
+  if (size.width === width && size.height === height) return config;
+  if (width !== DEFAULT_CONFIG.titleCards.width || height !== DEFAULT_CONFIG.titleCards.height) {
+    logWarning(`titleCards.width and titleCards.height (${width}x${height}) don't match the sections - rendering title cards at ${size.width}x${size.height}`);
+  }
+  return { ...config, titleCards: { ...config.titleCards, width: size.width, height: size.height } };
+}
+
+// Numbers of the section videos that get title cards, or null before there are any
+async function findSectionNumbers(config) {
+  const dir = sectionsDir(config);
+  if (!existsSync(dir)) return null;
+  const numbers = (await fs.readdir(dir)).filter(f => /^\d{2}-section\.mp4$/.test(f)).map(f => f.substring(0, 2)).sort();
+  return numbers.length > 0 ? numbers : null;
+}
+
+// POST a JSON body and parse the JSON response. OPENAI_API_KEY is sent as a bearer token if set.
+function postJSON(url, body) {
+  const payload = JSON.stringify(body);
+  const headers = {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(payload)
+  };
+  if (process.env.OPENAI_API_KEY) {
+    headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+  }
+
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const request = client.request(url, { method: 'POST', headers, timeout: LLM_TIMEOUT_MS }, (response) => {
+      let data = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => { data += chunk; });
+      response.on('end', () => {
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+          const error = new Error(`HTTP ${response.statusCode}: ${data.substring(0, 200)}`);
+          error.transient = response.statusCode === 408 || response.statusCode === 429 || response.statusCode >= 500;
+          reject(error);
+          return;
+        }
+        try {
+          resolve(JSON.parse(data));
+        } catch {
+          reject(new Error('response is not JSON'));
+        }
+      });
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`no response within ${LLM_TIMEOUT_MS / 1000} seconds`)));
+    request.on('error', error => {
+      error.transient = true;  // Network errors and timeouts
+      reject(error);
+    });
+    request.end(payload);
+  });
+}
+
+// First delay before a failed request is sent again; it doubles with every retry
+const LLM_RETRY_DELAY_MS = 2000;
+
+// POST JSON like postJSON, retrying network errors, timeouts, rate limits and server
+// errors up to `retries` more times
+async function postJSONWithRetries(url, body, retries) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await postJSON(url, body);
+    } catch (error) {
+      if (!error.transient || attempt >= retries) {
+        throw error;
+      }
+      const delay = LLM_RETRY_DELAY_MS * 2 ** attempt;
+      log(`${colors.YELLOW}Request failed (${error.message}), retrying in ${delay / 1000}s...${colors.NC}`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+// Classic title card design: cream background, rainbow accents and Inter font
+const CLASSIC_TEMPLATE = `<!DOCTYPE html>
+<html>
+<head>
+<style>
+@import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;600&display=swap');
+
+* {
+    margin: 0;
+    padding: 0;
+    box-sizing: border-box;
+}
+
+body {
+    width: {{width}}px;
+    height: {{height}}px;
+    background: #faf8f3;
+    font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+    position: relative;
+    overflow: hidden;
+    display: flex;
+    align-items: center;
+    justify-content: center;
+}
+
+/* Main container */
+.container {
+    width: 75%;
+    height: 65%;
+    position: relative;
+    display: flex;
+    flex-direction: column;
+    align-items: center;
+    justify-content: center;
+}
+
+/* Section number - refined */
 .section-number {
     font-size: 24px;
     font-weight: 300;
@@ -679,6 +2321,7 @@ body {
     background-size: 40px 40px;
 }
 
+{{css}}
 </style>
 </head>
 <body>
@@ -705,249 +2348,1040 @@ body {
         <div class="segment segment-6"></div>
     </div>
 
-    <div class="container">
-        <div class="section-number">SECTION ${number}</div>
-        <div class="title">${title}</div>
-        <div class="description">${description}</div>
+    <div class="container" data-maketalk="text">
+        <div class="section-number">{{label}}</div>
+        <div class="title">{{title}}</div>
+        <div class="description">{{description}}</div>
     </div>
 
 </body>
 </html>`;
-}
 
-// Generate title card image
-async function generateTitleCard(number, title, description, output, previewMode = false) {
-  const width = 3456;
-  const height = 2234;
-
-  // Create temporary HTML file
-  const htmlFile = `./title_card_${process.pid}.html`;
-  const htmlContent = generateTitleCardHTML(number, title, description, width, height);
-  await fs.writeFile(htmlFile, htmlContent);
+// Minimal title card design: white background, left-aligned type, no accents
+const MINIMAL_TEMPLATE = `<!DOCTYPE html>
+<html>
+<head>
+<style>
+@import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;600&display=swap');
 
-  if (previewMode) {
-    // Preview mode - just move HTML to output location
-    await fs.rename(htmlFile, output);
-    console.log(`Preview HTML generated: ${output}`);
-    console.log(`Open in browser: file://${path.resolve(output)}`);
-  } else {
-    // Take screenshot using Chrome
-    let chromeCmd;
-    if (commandExists('google-chrome')) {
-      chromeCmd = 'google-chrome';
-    } else if (commandExists('chromium')) {
-      chromeCmd = 'chromium';
-    } else if (existsSync('/Applications/Google Chrome.app/Contents/MacOS/Google Chrome')) {
-      chromeCmd = '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome';
-    } else {
-      console.error('Error: Chrome/Chromium not found. Please install Chrome.');
-      await fs.unlink(htmlFile);
-      return;
-    }
+* {
+    margin: 0;
+    padding: 0;
+    box-sizing: border-box;
+}
 
-    const htmlFileAbs = path.resolve(htmlFile);
-    try {
-      exec(`"${chromeCmd}" --headless --disable-gpu --screenshot="${output}" --window-size=${width},${height} "file://${htmlFileAbs}" 2>/dev/null`, true);
-    } catch (error) {
-      console.error(`Failed to generate title card: ${error.message}`);
-    }
+body {
+    width: {{width}}px;
+    height: {{height}}px;
+    background: #ffffff;
+    font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+    overflow: hidden;
+    display: flex;
+    align-items: center;
+}
 
-    // Clean up
-    await fs.unlink(htmlFile);
-  }
+.container {
+    margin-left: 12.5%;
+    width: 75%;
+    border-left: 8px solid #1a1a1a;
+    padding-left: 80px;
 }
 
-// Step 6: Generate title card images
-async function generateTitleCards() {
-  console.log(`\n${colors.BLUE}Step 6: Generating title card images...${colors.NC}`);
+.section-number {
+    font-size: 36px;
+    font-weight: 400;
+    letter-spacing: 8px;
+    color: #888;
+    margin-bottom: 60px;
+}
 
-  if (!existsSync('title_cards.json')) {
-    console.error(`${colors.RED}Error: title_cards.json not found!${colors.NC}`);
-    console.log('Please run claude-danger first to generate the titles.');
-    process.exit(1);
-  }
+.title {
+    font-size: 180px;
+    font-weight: 600;
+    letter-spacing: -6px;
+    line-height: 0.95;
+    margin-bottom: 60px;
+    color: #1a1a1a;
+}
 
-  const titleCardsData = JSON.parse(await fs.readFile('title_cards.json', 'utf8'));
+.description {
+    font-size: 48px;
+    font-weight: 300;
+    color: #555;
+}
 
-  for (const card of titleCardsData.title_cards) {
-    const { number, title, description } = card;
+{{css}}
+</style>
+</head>
+<body>
+    <div class="container" data-maketalk="text">
+        <div class="section-number">{{label}}</div>
+        <div class="title">{{title}}</div>
+        <div class="description">{{description}}</div>
+    </div>
+</body>
+</html>`;
 
-    console.log(`Creating title card for Section ${number}...`);
+// Lower third shown over a section: a name and an optional second line in the bottom left
+// corner, on a transparent page the size of the section video
+const LOWER_THIRD_TEMPLATE = `<!DOCTYPE html>
+<html>
+<head>
+<style>
+@import url('https://fonts.googleapis.com/css2?family=Inter:wght@300;400;600&display=swap');
 
-    // Generate PNG
-    const pngPath = path.join(GENERATED_DIR, 'title_cards', `${number}-title.png`);
-    await generateTitleCard(number, title, description, pngPath);
+* {
+    margin: 0;
+    padding: 0;
+    box-sizing: border-box;
+}
 
-    // Create 5-second video from title card
-    const mp4Path = path.join(GENERATED_DIR, 'title_cards', `${number}-title.mp4`);
-    try {
-      await execFFmpeg([
-        '-loop', '1',
-        '-i', pngPath,
-        '-f', 'lavfi',
-        '-i', 'anullsrc=channel_layout=stereo:sample_rate=48000',
-        '-c:v', 'libx264',
-        '-t', '5',
-        '-pix_fmt', 'yuv420p',
-        '-r', '30',  // 30fps for YouTube compatibility
-        '-crf', '18',  // Better quality for text
-        '-bf', '2',  // Maximum 2 B-frames
-        '-flags', '+cgop',  // Closed GOP
-        '-c:a', 'aac',
-        '-b:a', '192k',  // Higher bitrate
-        '-ac', '2',  // Stereo
-        '-ar', '48000',  // 48kHz
-        '-movflags', 'faststart',  // Fast start
-        '-shortest',
-        '-y',
-        mp4Path
-      ], `Creating title video ${number}`);
-      console.log(`${colors.GREEN}✓ Created: ${number}-title.mp4${colors.NC}`);
-    } catch {
-      console.log(`${colors.RED}✗ Failed: ${number}-title.mp4${colors.NC}`);
-    }
-  }
+body {
+    width: {{width}}px;
+    height: {{height}}px;
+    background: transparent;
+    font-family: 'Inter', -apple-system, BlinkMacSystemFont, sans-serif;
+    position: relative;
+    overflow: hidden;
 }
 
-// Step 1: Convert MOV to MP4 with dimension fixes
-async function convertVideos() {
-  console.log(`\n${colors.BLUE}Step 1: Converting MOV files to MP4...${colors.NC}`);
+.lower-third {
+    position: absolute;
+    left: 6%;
+    bottom: 10%;
+    padding: 2.2vh 3.2vh;
+    background: rgba(22, 22, 26, 0.85);
+    border-left: 0.8vh solid #faf8f3;
+}
 
-  const movFiles = await getMovFiles();
+.title {
+    font-size: 4.4vh;
+    font-weight: 600;
+    color: #faf8f3;
+}
 
-  // First, check all MOV dimensions BEFORE conversion
-  console.log('Checking MOV file dimensions...');
-  const videoDimensions = new Map();
-  const dimensionCounts = new Map();
+.subtitle {
+    font-size: 2.6vh;
+    font-weight: 300;
+    letter-spacing: 0.1vh;
+    color: #bbb;
+    margin-top: 0.8vh;
+}
 
-  for (const file of movFiles) {
-    try {
-      const result = exec(`ffprobe -v error -select_streams v:0 -show_entries stream=width,height -of json "${file}"`, true);
-      const info = JSON.parse(result);
-      const width = info.streams[0].width;
-      const height = info.streams[0].height;
-      const dimensions = `${width}x${height}`;
-
-      videoDimensions.set(file, { width, height, dimensions });
-      dimensionCounts.set(dimensions, (dimensionCounts.get(dimensions) || 0) + 1);
-    } catch (error) {
-      console.error(`${colors.RED}Error checking dimensions for ${file}${colors.NC}`);
-    }
-  }
+.subtitle:empty {
+    display: none;
+}
+</style>
+</head>
+<body>
+    <div class="lower-third">
+        <div class="title">{{title}}</div>
+        <div class="subtitle">{{subtitle}}</div>
+    </div>
+</body>
+</html>`;
 
-  let targetWidth = null;
-  let targetHeight = null;
+// CSS that reduces a title card to one layer for animation. The text layer is the element
+// marked data-maketalk="text"; everything else is the background
+const TITLE_CARD_LAYER_CSS = {
+  background: '[data-maketalk="text"] { visibility: hidden !important; }',
+  text: `html, body { background: transparent !important; }
+body * { visibility: hidden !important; }
+body [data-maketalk="text"], body [data-maketalk="text"] * { visibility: visible !important; }`
+};
 
-  // Check if all videos have the same dimensions
-  if (dimensionCounts.size > 1) {
-    console.log(`\n${colors.YELLOW}Warning: MOV files have different dimensions:${colors.NC}`);
-    for (const [dims, count] of dimensionCounts) {
-      console.log(`  ${dims}: ${count} video(s)`);
-    }
+// Wrap title card text into lines of similar length
+const TITLE_CARD_FIT_CSS = '.title, .description { text-wrap: balance; }';
+
+// Shrinks the .title and .description of a title card until they fit in the text element
+// (data-maketalk="text") and on the page, and records how far on the <html> element as
+// data-maketalk-title-scale and data-maketalk-description-scale. With a preset ({ title,
+// description }) it applies those scales right away, so every layer of a card looks the same.
+const TITLE_CARD_FIT_SCRIPT = `<script>
+(function () {
+  var preset = {{fit}};
+  var root = document.querySelector('[data-maketalk="text"]') || document.body;
+  var items = ['title', 'description'].map(function (name) {
+    var element = root.querySelector('.' + name);
+    if (!element) return null;
+    var style = getComputedStyle(element);
+    return { name: name, element: element, fontSize: parseFloat(style.fontSize), letterSpacing: parseFloat(style.letterSpacing) || 0, percent: 100 };
+  }).filter(Boolean);
+
+  function setPercent(item, percent) {
+    item.percent = percent;
+    item.element.style.fontSize = (item.fontSize * percent / 100) + 'px';
+    item.element.style.letterSpacing = (item.letterSpacing * percent / 100) + 'px';
+  }
 
-    // Find the most common dimension
-    let maxDimension = '';
-    let maxCount = 0;
-    for (const [dims, count] of dimensionCounts) {
-      if (count > maxCount) {
-        maxCount = count;
-        maxDimension = dims;
-      }
-    }
+  function bounds() {
+    var box = root.getBoundingClientRect();
+    return {
+      left: Math.max(box.left, 0) - 1,
+      right: Math.min(box.right, window.innerWidth) + 1,
+      top: Math.max(box.top, 0) - 1,
+      bottom: Math.min(box.bottom, window.innerHeight) + 1
+    };
+  }
 
-    console.log(`\n${colors.YELLOW}Most common dimension: ${maxDimension}${colors.NC}`);
-    console.log('\nOptions:');
-    console.log('1. Convert all videos to the most common dimension (may add black bars)');
-    console.log('2. Exit and fix manually');
+  // A word wider than its element, or text beside the text element or the page
+  function overflowsSideways(item, box) {
+    var rect = item.element.getBoundingClientRect();
+    return item.element.scrollWidth > item.element.clientWidth + 1 || rect.left < box.left || rect.right > box.right;
+  }
 
-    // Simple prompt for user choice
-    console.log('\nPlease choose (1 or 2):');
-    const rl = readline.createInterface({
-      input: process.stdin,
-      output: process.stdout
+  function overflowsVertically(box) {
+    return items.some(function (item) {
+      var rect = item.element.getBoundingClientRect();
+      return rect.top < box.top || rect.bottom > box.bottom;
     });
+  }
 
-    const answer = await new Promise(resolve => {
-      rl.question('', answer => {
-        rl.close();
-        resolve(answer.trim());
-      });
+  function record() {
+    items.forEach(function (item) {
+      document.documentElement.setAttribute('data-maketalk-' + item.name + '-scale', item.percent / 100);
     });
+  }
 
-    if (answer !== '1') {
-      console.log(`\n${colors.YELLOW}Exiting. Please ensure all videos have the same dimensions before running again.${colors.NC}`);
-      process.exit(0);
+  function fit() {
+    // First shrink each text until its longest words fit across, then the larger one of them
+    // until both fit from top to bottom, in 5% steps down to a tenth of the theme's size
+    items.forEach(function (item) {
+      while (item.percent > 10 && overflowsSideways(item, bounds())) setPercent(item, item.percent - 5);
+    });
+    while (overflowsVertically(bounds())) {
+      var largest = items.reduce(function (a, b) { return b.percent > a.percent ? b : a; });
+      if (largest.percent <= 10) break;
+      setPercent(largest, largest.percent - 5);
     }
+    record();
+  }
 
-    // Parse target dimensions
-    [targetWidth, targetHeight] = maxDimension.split('x').map(Number);
+  if (preset) {
+    items.forEach(function (item) { setPercent(item, Math.round((preset[item.name] || 1) * 100)); });
+    record();
+  } else if (document.fonts) {
+    document.fonts.ready.then(fit);
+  } else {
+    fit();
+  }
+})();
+</script>`;
+
+// Built-in themes. A theme is an HTML template plus optional CSS that is inserted at {{css}},
+// the format of the {{label}} above a section's title and the lower third template
+const BUILTIN_THEMES = {
+  classic: {
+    template: CLASSIC_TEMPLATE,
+    css: '',
+    label: 'SECTION {{number}}',
+    lowerThird: LOWER_THIRD_TEMPLATE
+  },
+  dark: {
+    template: CLASSIC_TEMPLATE,
+    label: 'SECTION {{number}}',
+    lowerThird: LOWER_THIRD_TEMPLATE,
+    css: `
+body { background: #16161a; }
+.section-number { color: #777; }
+.title { color: #f4f1ea; }
+.description { color: #aaa; }
+.corner-accent::before,
+.corner-accent::after { background: #444; }
+.grid {
+    background-image:
+        linear-gradient(0deg, rgba(255,255,255,0.03) 1px, transparent 1px),
+        linear-gradient(90deg, rgba(255,255,255,0.03) 1px, transparent 1px);
+}`
+  },
+  minimal: {
+    template: MINIMAL_TEMPLATE,
+    css: '',
+    label: '{{number}}',
+    lowerThird: LOWER_THIRD_TEMPLATE
   }
+};
 
-  // Now convert with dimension fixes and audio normalization in one pass
-  console.log('\nConverting MOV files to MP4...');
-  for (const file of movFiles) {
-    const filename = path.basename(file, path.extname(file));
-    const videoDim = videoDimensions.get(file);
+// Load a theme by built-in name, or from a directory with template.html and/or style.css,
+// and optionally lower-third.html
+async function loadTheme(name) {
+  if (BUILTIN_THEMES[name]) {
+    return BUILTIN_THEMES[name];
+  }
 
-    console.log(`Converting ${file} to MP4...`);
-    try {
-      let ffmpegCmd;
-
-      const outputPath = path.join(GENERATED_DIR, 'converted_videos', filename + '.mp4');
-      const args = ['-i', file];
-
-      // Build video filter chain
-      let videoFilter = '';
-      if (targetWidth && targetHeight && (videoDim.width !== targetWidth || videoDim.height !== targetHeight)) {
-        const padX = Math.floor((targetWidth - videoDim.width) / 2);
-        const padY = Math.floor((targetHeight - videoDim.height) / 2);
-        console.log(`  Adding padding: ${videoDim.dimensions} -> ${targetWidth}x${targetHeight}`);
-        videoFilter = `pad=${targetWidth}:${targetHeight}:${padX}:${padY}:black`;
-      }
+  if (!isThemeDirectory(name)) {
+    throw new Error(`Unknown theme "${name}". Use one of ${Object.keys(BUILTIN_THEMES).join(', ')}, or a directory containing template.html and/or style.css`);
+  }
 
-      // Apply filters
-      if (videoFilter) {
-        args.push('-vf', videoFilter);
-      }
+  // A directory with only style.css restyles the classic template
+  const templatePath = path.join(name, 'template.html');
+  const cssPath = path.join(name, 'style.css');
+  const lowerThirdPath = path.join(name, 'lower-third.html');
+  return {
+    template: existsSync(templatePath) ? await fs.readFile(templatePath, 'utf8') : CLASSIC_TEMPLATE,
+    css: existsSync(cssPath) ? await fs.readFile(cssPath, 'utf8') : '',
+    label: 'SECTION {{number}}',
+    lowerThird: existsSync(lowerThirdPath) ? await fs.readFile(lowerThirdPath, 'utf8') : LOWER_THIRD_TEMPLATE,
+    baseDir: path.resolve(name)
+  };
+}
 
-      args.push(
-        '-r', '30',  // Force 30fps for YouTube compatibility
-        '-c:v', 'libx264',
-        '-crf', '18',  // Better quality for text clarity
-        '-bf', '2',  // Maximum 2 B-frames for YouTube
-        '-flags', '+cgop',  // Closed GOP for YouTube
-        '-pix_fmt', 'yuv420p',  // Ensure compatible pixel format
-        '-af', 'pan=stereo|c0=c0|c1=c0,aresample=48000',  // Convert to stereo and 48kHz
-        '-c:a', 'aac',
-        '-b:a', '192k',  // Higher bitrate for better audio
-        '-ac', '2',  // Stereo audio
-        '-ar', '48000',  // 48kHz sample rate for YouTube
-        '-movflags', 'faststart',  // MOOV atom at front for streaming
-        '-y',
-        outputPath
-      );
+function isThemeDirectory(dir) {
+  return existsSync(path.join(dir, 'template.html')) || existsSync(path.join(dir, 'style.css'));
+}
 
-      await execFFmpeg(args, `Converting ${filename}`);
-      console.log(`${colors.GREEN}✓ Converted: ${filename}${colors.NC}`);
-    } catch {
-      console.log(`${colors.RED}✗ Failed: ${filename}${colors.NC}`);
-    }
+// Hashes of every file in a theme directory, as images and fonts loaded by the theme
+// change the rendered cards as much as its template does. Built-in themes have none.
+async function hashThemeFiles(manifest, theme) {
+  if (!theme.baseDir) {
+    return [];
   }
+  // Walked by hand: readdir's recursive option is ignored before Node 18.17
+  const hashes = [];
+  const walk = async (dir) => {
+    const entries = (await fs.readdir(path.join(theme.baseDir, dir), { withFileTypes: true }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const file = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await walk(file);
+      } else if (entry.isFile()) {
+        hashes.push([file, await hashFile(manifest, path.join(theme.baseDir, file))]);
+      }
+    }
+  };
+  await walk('');
+  return hashes;
 }
 
-// Step 2: Merge multi-part sections
-async function mergeMultipartSections() {
-  console.log(`\n${colors.BLUE}Step 2: Merging multi-part sections...${colors.NC}`);
+// Fill {{placeholders}} in a template, leaving unknown ones untouched
+function renderTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
 
-  const convertedDir = path.join(GENERATED_DIR, 'converted_videos');
-  const files = await fs.readdir(convertedDir);
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
 
-  // Group files by section number
+function escapeHTML(text) {
+  return String(text).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
+// Title card text as HTML. Everything is escaped and line breaks are kept; with
+// titleCards.markup basic, **strong** and *emphasis* are turned into tags.
+function formatCardText(text, markup) {
+  let html = escapeHTML(text);
+  if (markup === 'basic') {
+    html = html
+      .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+      .replace(/\*(.+?)\*/g, '<em>$1</em>');
+  }
+  return html.replace(/\r?\n/g, '<br>');
+}
+
+// Title card text on one line and without markup, for chapter names
+function plainCardText(text, markup) {
+  if (markup === 'basic') {
+    text = text.replace(/\*\*(.+?)\*\*/g, '$1').replace(/\*(.+?)\*/g, '$1');
+  }
+  return text.replace(/\s*\r?\n\s*/g, ' ');
+}
+
+// Generate title card HTML. Talk cards pass their own label; sections get their number in the theme's format.
+// The text is escaped, and formatted according to markup (see formatCardText). It shrinks to fit
+// when the page loads, or by the scales in fit (see TITLE_CARD_FIT_SCRIPT).
+function generateTitleCardHTML(number, title, description, width, height, theme, layer, label, markup = 'none', fit = null) {
+  let template = theme.template;
+  // Templates without a {{css}} placeholder get the theme CSS appended to the head
+  if (theme.css && !template.includes('{{css}}')) {
+    template = template.replace('</head>', '<style>\n{{css}}\n</style>\n</head>');
+  }
+  // Resolve relative asset paths (images, fonts) against the theme directory
+  if (theme.baseDir) {
+    template = template.replace('<head>', `<head>\n<base href="${pathToFileURL(theme.baseDir).href}/">`);
+  }
+  template = template.replace('</head>', `<style>\n${TITLE_CARD_FIT_CSS}\n</style>\n</head>`);
+  if (layer) {
+    template = template.replace('</head>', `<style>\n${TITLE_CARD_LAYER_CSS[layer]}\n</style>\n</head>`);
+  }
+  label = label === undefined ? renderTemplate(theme.label, { number: escapeHTML(number) }) : formatCardText(label, markup);
+  const html = renderTemplate(template, {
+    width,
+    height,
+    number: escapeHTML(number),
+    label,
+    title: formatCardText(title, markup),
+    description: formatCardText(description, markup),
+    css: theme.css
+  });
+
+  const script = TITLE_CARD_FIT_SCRIPT.replace('{{fit}}', JSON.stringify(fit));
+  return html.includes('</body>') ? html.replace('</body>', `${script}\n</body>`) : `${html}\n${script}`;
+}
+
+// Counter for unique temporary file names within this process
+let tempFileCounter = 0;
+
+// Generate title card image. Resolves to how far the text had to shrink to fit, e.g.
+// { title: 0.6, description: 1 }.
+// options.preview writes the HTML instead of a PNG; options.layer renders only the
+// 'background' or the 'text' layer (on a transparent background) for animated cards;
+// options.label replaces the section number label; options.width and options.height the page size;
+// options.fit the scales from rendering another layer of the same card, instead of measuring again
+async function generateTitleCard(number, title, description, output, config, options = {}) {
+  const width = options.width || config.titleCards.width;
+  const height = options.height || config.titleCards.height;
+  const theme = await loadTheme(config.titleCards.theme);
+  const html = fit => generateTitleCardHTML(number, title, description, width, height, theme, options.layer, options.label,
+    config.titleCards.markup, fit);
+
+  // Create temporary HTML file, unique per card so cards can render in parallel
+  const htmlFile = `./title_card_${process.pid}_${++tempFileCounter}.html`;
+  await fs.writeFile(htmlFile, html(null));
+
+  if (options.preview) {
+    // Preview mode - just move HTML to output location
+    await fs.rename(htmlFile, output);
+    log(`Preview HTML generated: ${output}`);
+    log(`Open in browser: file://${path.resolve(output)}`);
+  } else {
+    // Take screenshot using Chrome
+    const chromeCmd = findChrome();
+    if (!chromeCmd) {
+      await fs.unlink(htmlFile);
+      throw new Error('Chrome/Chromium not found. Please install Chrome.');
+    }
+
+    try {
+      // Measure the text once, then screenshot with the fitted sizes fixed in the page
+      const fit = options.fit || await measureTitleCard(chromeCmd, htmlFile, width, height);
+      await fs.writeFile(htmlFile, html(fit));
+      await runCommand(chromeCmd, chromeScreenshotArgs(htmlFile, output, width, height, options.layer));
+      return fit;
+    } catch (error) {
+      error.message = `Chrome could not render ${path.basename(output)}: ${error.message}`;
+      throw error;
+    } finally {
+      // Clean up
+      await fs.unlink(htmlFile);
+    }
+  }
+}
+
+// Load a title card page in Chrome and read how far its title and description had to
+// shrink to fit. Text a theme doesn't have counts as unscaled.
+async function measureTitleCard(chromeCmd, htmlFile, width, height) {
+  const { stdout } = await runCommand(chromeCmd, chromeMeasureArgs(htmlFile, width, height));
+  const fit = { title: 1, description: 1 };
+  for (const [, name, scale] of stdout.matchAll(/data-maketalk-(title|description)-scale="([\d.]+)"/g)) {
+    fit[name] = parseFloat(scale);
+  }
+  return fit;
+}
+
+// Find the Chrome or Chromium binary, or null if there is none
+function findChrome() {
+  if (commandExists('google-chrome')) return 'google-chrome';
+  if (commandExists('chromium')) return 'chromium';
+  const macChrome = '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome';
+  return existsSync(macChrome) ? macChrome : null;
+}
+
+// Chrome arguments that screenshot a title card page; the text layer keeps a transparent background
+function chromeScreenshotArgs(htmlFile, output, width, height, layer) {
+  const args = ['--headless', '--disable-gpu', '--hide-scrollbars'];
+  if (layer === 'text') {
+    args.push('--default-background-color=00000000');
+  }
+  args.push(`--screenshot=${path.resolve(output)}`, `--window-size=${width},${height}`, `file://${path.resolve(htmlFile)}`);
+  return args;
+}
+
+// Chrome arguments that load a title card page, wait for its fonts and print the resulting DOM
+function chromeMeasureArgs(htmlFile, width, height) {
+  return ['--headless', '--disable-gpu', '--hide-scrollbars', '--virtual-time-budget=10000',
+    `--window-size=${width},${height}`, '--dump-dom', `file://${path.resolve(htmlFile)}`];
+}
+
+// Encoder settings shared by all title card videos, matching convertVideos so the final concat can copy
+function titleVideoEncodeArgs(config) {
+  return [
+    '-c:v', 'libx264',
+    '-t', String(config.titleCards.duration),
+    '-pix_fmt', 'yuv420p',
+    '-r', String(config.video.fps),
+    '-crf', String(config.video.crf),
+    '-bf', '2',  // Maximum 2 B-frames
+    '-flags', '+cgop',  // Closed GOP
+    '-c:a', 'aac',
+    '-b:a', config.audio.bitrate,
+    '-ac', '2',  // Stereo
+    '-ar', String(config.audio.sampleRate),
+    '-movflags', 'faststart',  // Fast start
+    '-shortest'
+  ];
+}
+
+// Build the filter graph that fades (and optionally slides) the text layer in over
+// the background layer, holds it, then fades it out again
+function buildTitleAnimationFilter(animation, duration) {
+  const delay = round3(Math.min(0.2, duration * 0.05));
+  const fadeIn = round3(Math.min(0.8, duration * 0.2));
+  const fadeOut = round3(Math.min(0.6, duration * 0.15));
+  const fadeOutStart = round3(duration - fadeOut);
+
+  let filter = `[1:v]format=rgba,fade=t=in:st=${delay}:d=${fadeIn}:alpha=1,fade=t=out:st=${fadeOutStart}:d=${fadeOut}:alpha=1[text];`;
+  if (animation === 'slide') {
+    // Ease the text up into place while it fades in
+    filter += `[0:v][text]overlay=x=0:y='if(lt(t,${round3(delay + fadeIn)}),H*0.04*pow(1-max(t-${delay},0)/${fadeIn},2),0)'`;
+  } else {
+    filter += '[0:v][text]overlay=0:0';
+  }
+  return `${filter},format=yuv420p[v]`;
+}
+
+// Step 6: Generate title card images
+async function generateTitleCards(config, manifest) {
+  startStep('titleCards', 'Step 6: Generating title card images...');
+  config = await withSectionFrameSize(config);
+
+  if (!existsSync('title_cards.json')) {
+    throw new Error('title_cards.json not found - run claude-danger first to generate the titles');
+  }
+
+  const titleCardsData = await readTitleCards(await findSectionNumbers(config));
+  const cards = [...titleCardsData.title_cards, ...talkCards(titleCardsData.talk)];
+  const jobs = await planTitleCards(config, manifest, cards);
+  const shrunk = [];
+
+  // Cards whose text shrank below titleCards.minScale, from this run or the manifest
+  const checkFit = (job, fit) => {
+    if (fit && Math.min(fit.title, fit.description) < config.titleCards.minScale) {
+      shrunk.push(`${job.key} (title ${Math.round(fit.title * 100)}%, description ${Math.round(fit.description * 100)}%)`);
+    }
+  };
+
+  await runPool(jobs, config.jobs, async (job) => {
+    const { number, title, description, label } = job.card;
+    const name = path.basename(job.output);
+    if (job.upToDate) {
+      log(`${colors.GREEN}✓ Up to date: ${name}${colors.NC}`);
+      checkFit(job, manifest.steps.titleCards[job.key].fit);
+      return;
+    }
+
+    log(job.card.name ? `Creating ${job.card.name.replace('-', ' ')}...` : `Creating title card for Section ${number}...`);
+
+    try {
+      let fit;
+      for (const render of job.renders) {
+        fit = await generateTitleCard(number, title, description, render.output, config, { layer: render.layer, label, fit });
+      }
+      checkFit(job, fit);
+      await execFFmpeg(job.args, `Creating title video ${job.key}`);
+      await recordStep(manifest, 'titleCards', job.key, job.fp, [job.output, ...job.renders.map(render => render.output)], { fit });
+      log(`${colors.GREEN}✓ Created: ${name}${colors.NC}`);
+    } catch (error) {
+      recordFailure(config, name, error, `Failed: ${name}`);
+    }
+  });
+
+  if (shrunk.length > 0) {
+    logWarning(`Text had to shrink below ${Math.round(config.titleCards.minScale * 100)}% of the theme's size to fit on ${shrunk.join(', ')} - consider shorter titles or descriptions`);
+  }
+
+  // Remove title cards that were dropped from title_cards.json
+  await pruneStep(manifest, 'titleCards', jobs.map(job => job.key));
+}
+
+// The opening and end cards described by the talk block of title_cards.json, as cards for
+// planTitleCards. The opening card shows the talk's title, author and date; the end card
+// a closing title with credits and links.
+function talkCards(talk) {
+  const cards = [];
+  if (!talk) return cards;
+
+  if (talk.title) {
+    cards.push({ name: 'opening-card', number: '', label: talk.date || '', title: talk.title, description: talk.author || '' });
+  }
+  if (talk.end) {
+    const end = talk.end === true ? {} : talk.end;
+    const lines = [].concat(end.credits || [], end.links || []);
+    cards.push({ name: 'end-card', number: '', label: '', title: end.title || 'Thank you', description: lines.join(' · ') });
+  }
+
+  return cards;
+}
+
+// Describe the images each title card renders with Chrome and the ffmpeg arguments
+// that turn them into a video
+async function planTitleCards(config, manifest, cards) {
+  // Animation needs the theme to mark its text so it can be rendered as a separate layer
+  const theme = await loadTheme(config.titleCards.theme);
+  let animation = config.titleCards.animation;
+  if (animation !== 'none') {
+    if (!theme.template.includes('data-maketalk="text"')) {
+      logWarning('Theme has no data-maketalk="text" element - rendering static title cards');
+      animation = 'none';
+    }
+  }
+
+  const themeFiles = await hashThemeFiles(manifest, theme);
+  const titleCardsDir = path.join(GENERATED_DIR, 'title_cards');
+  const silence = `anullsrc=channel_layout=stereo:sample_rate=${config.audio.sampleRate}`;
+
+  return cards.map(card => {
+    const { number, title, description, label } = card;
+    // Talk cards are named after what they are, section cards after their number
+    const key = card.name || number;
+    const baseName = card.name || `${number}-title`;
+    const mp4Path = path.join(titleCardsDir, `${baseName}.mp4`);
+
+    // Only re-render cards whose text, theme or encode settings changed
+    const fp = fingerprint(number, title, description, label, theme.template, theme.css, theme.label, themeFiles, animation,
+      TITLE_CARD_FIT_CSS, TITLE_CARD_FIT_SCRIPT,
+      config.titleCards, config.video.fps, config.video.crf, config.audio);
+
+    let args;
+    let renders;
+
+    if (animation === 'none') {
+      // Generate PNG and loop it for the title card duration
+      const pngPath = path.join(titleCardsDir, `${baseName}.png`);
+      renders = [{ layer: undefined, output: pngPath }];
+      args = [
+        '-loop', '1',
+        '-i', pngPath,
+        '-f', 'lavfi',
+        '-i', silence
+      ];
+    } else {
+      // Render background and text separately and animate the text over the background
+      const backgroundPath = path.join(titleCardsDir, `${baseName}-background.png`);
+      const textPath = path.join(titleCardsDir, `${baseName}-text.png`);
+      renders = [{ layer: 'background', output: backgroundPath }, { layer: 'text', output: textPath }];
+      args = [
+        '-loop', '1',
+        '-framerate', String(config.video.fps),
+        '-i', backgroundPath,
+        '-loop', '1',
+        '-framerate', String(config.video.fps),
+        '-i', textPath,
+        '-f', 'lavfi',
+        '-i', silence,
+        '-filter_complex', buildTitleAnimationFilter(animation, config.titleCards.duration),
+        '-map', '[v]',
+        '-map', '2:a'
+      ];
+    }
+
+    return {
+      key,
+      card,
+      output: mp4Path,
+      renders,
+      fp,
+      upToDate: isUpToDate(manifest, 'titleCards', key, fp),
+      args: [...args, ...titleVideoEncodeArgs(config), '-y', mp4Path]
+    };
+  });
+}
+
+// Describe the thumbnail: the talk title rendered with the theme, over a frame from a section
+// if one is chosen. Returns null if there is no talk title to show.
+async function planThumbnail(config, manifest, talk, planned) {
+  if (!talk || !talk.title) {
+    logWarning('The thumbnail shows the talk title - add a talk block with a title to title_cards.json');
+    return null;
+  }
+
+  const { output, section, time } = config.thumbnail;
+  const thumbnailDir = path.join(GENERATED_DIR, 'thumbnail');
+  const theme = await loadTheme(config.titleCards.theme);
+  const card = { label: '', title: talk.title, description: talk.author || '' };
+
+  // The frame shows through the theme background, so the text has to be its own layer
+  let framePath = section ? path.join(sectionsDir(config), `${section}-section.mp4`) : null;
+  if (framePath && !planned.has(framePath) && !existsSync(framePath)) {
+    logWarning(`Section ${section} not found - rendering the thumbnail without a frame`);
+    framePath = null;
+  } else if (framePath && !theme.template.includes('data-maketalk="text"')) {
+    logWarning('Theme has no data-maketalk="text" element - rendering the thumbnail without a frame');
+    framePath = null;
+  }
+
+  const renders = framePath
+    ? [{ layer: 'background', output: path.join(thumbnailDir, 'background.png') }, { layer: 'text', output: path.join(thumbnailDir, 'text.png') }]
+    : [{ layer: undefined, output: path.join(thumbnailDir, 'thumbnail.png') }];
+
+  const fp = fingerprint(card, theme.template, theme.css, await hashThemeFiles(manifest, theme), framePath && await plannedFingerprint(manifest, planned, framePath),
+    framePath && time, output);
+
+  return {
+    card,
+    output,
+    framePath,
+    time,
+    renders,
+    width: THUMBNAIL_WIDTH * THUMBNAIL_SCALE,
+    height: THUMBNAIL_HEIGHT * THUMBNAIL_SCALE,
+    fp,
+    upToDate: isUpToDate(manifest, 'thumbnail', 'thumbnail', fp)
+  };
+}
+
+// ffmpeg arguments that scale the rendered thumbnail down and write it as a JPEG. With a frame,
+// the theme background is laid over the frame at 80% opacity and the text on top.
+function thumbnailArgs(job, quality) {
+  const size = `${THUMBNAIL_WIDTH}:${THUMBNAIL_HEIGHT}`;
+  let args;
+  if (job.framePath) {
+    const [background, text] = job.renders.map(render => render.output);
+    const filter = [
+      `[0:v]scale=${size}:force_original_aspect_ratio=increase,crop=${size},setsar=1[frame]`,
+      `[1:v]scale=${size},format=rgba,colorchannelmixer=aa=0.8[background]`,
+      `[2:v]scale=${size}[text]`,
+      '[frame][background]overlay[tinted]',
+      '[tinted][text]overlay'
+    ].join(';');
+    args = ['-ss', String(job.time), '-i', job.framePath, '-i', background, '-i', text, '-filter_complex', filter];
+  } else {
+    args = ['-i', job.renders[0].output, '-vf', `scale=${size}`];
+  }
+  return [...args, '-frames:v', '1', '-update', '1', '-q:v', String(quality), '-y', job.output];
+}
+
+// Step 6b: Render the thumbnail
+async function createThumbnail(config, manifest) {
+  if (!config.thumbnail.output) return;
+
+  startStep('thumbnail', 'Step 6b: Creating thumbnail...');
+  const job = await planThumbnail(config, manifest, await loadTalk(), new Map());
+  if (!job) return;
+
+  if (job.upToDate) {
+    log(`${colors.GREEN}✓ Up to date: ${job.output}${colors.NC}`);
+    return;
+  }
+
+  try {
+    if (job.framePath) {
+      const duration = probeDuration(job.framePath);
+      if (job.time >= duration) {
+        throw new Error(`section ${config.thumbnail.section} is only ${duration.toFixed(1)}s long`);
+      }
+    }
+
+    await fs.mkdir(path.join(GENERATED_DIR, 'thumbnail'), { recursive: true });
+    const { label, title, description } = job.card;
+    let fit;
+    for (const render of job.renders) {
+      // Chrome can exit without writing the screenshot, so check that a new image was written
+      await fs.rm(render.output, { force: true });
+      fit = await generateTitleCard('', title, description, render.output, config,
+        { layer: render.layer, label, width: job.width, height: job.height, fit });
+      if (!existsSync(render.output)) {
+        throw new Error('Chrome did not render the thumbnail');
+      }
+    }
+
+    // Step down the JPEG quality until the thumbnail fits
+    let size;
+    for (const quality of THUMBNAIL_QUALITIES) {
+      await runCommand('ffmpeg', thumbnailArgs(job, quality));
+      size = (await fs.stat(job.output)).size;
+      if (size <= THUMBNAIL_MAX_BYTES) break;
+    }
+    if (size > THUMBNAIL_MAX_BYTES) {
+      throw new Error(`still ${(size / 1024 / 1024).toFixed(1)} MB at the lowest quality`);
+    }
+
+    await recordStep(manifest, 'thumbnail', 'thumbnail', job.fp, [job.output, ...job.renders.map(render => render.output)]);
+    log(`${colors.GREEN}✓ Created: ${job.output} (${THUMBNAIL_WIDTH}x${THUMBNAIL_HEIGHT}, ${Math.round(size / 1024)} KB)${colors.NC}`);
+  } catch (error) {
+    recordWarning(config.thumbnail.output, error, `Failed to create thumbnail: ${error.message}`);
+  }
+}
+
+// Parse a WxH resolution setting, returning null for auto
+function parseResolution(value) {
+  if (value === 'auto') return null;
+  const [width, height] = value.split('x').map(Number);
+  return { width, height };
+}
+
+// Validate a resolution setting, returning an error message or null
+function checkResolution(value) {
+  if (value === 'auto') return null;
+  const match = value.match(/^(\d+)x(\d+)$/);
+  if (!match) {
+    return `must be "auto" or <width>x<height> like 1920x1080 (got ${JSON.stringify(value)})`;
+  }
+  const invalid = match.slice(1).map(Number).find(n => n < 16 || n > 8192 || n % 2 !== 0);
+  if (invalid !== undefined) {
+    return `width and height must be even numbers between 16 and 8192 (got ${invalid})`;
+  }
+  return null;
+}
+
+// Build the ffmpeg filter that brings a source to the target size
+function buildResizeFilter(mode, source, width, height) {
+  if (mode === 'crop') {
+    // Scale to cover the target, then cut off what sticks out
+    return `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1`;
+  }
+  if (mode === 'scale') {
+    // Scale to fit inside the target, then letterbox the rest
+    return `scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+      `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:black,setsar=1`;
+  }
+  const padX = Math.floor((width - source.width) / 2);
+  const padY = Math.floor((height - source.height) / 2);
+  return `pad=${width}:${height}:${padX}:${padY}:black`;
+}
+
+// Probe every source's dimensions and audio stream, returning a map from file to its details
+function probeSources(sourceFiles) {
+  const videoDimensions = new Map();
+
+  for (const file of sourceFiles) {
+    try {
+      const { width, height, hasAudio } = probeSource(file);
+      videoDimensions.set(file, { width, height, dimensions: `${width}x${height}`, hasAudio });
+    } catch (error) {
+      logError(`${colors.RED}Error checking dimensions for ${file}${colors.NC}`);
+    }
+  }
+
+  return videoDimensions;
+}
+
+// Work out the frame size all sections must share: the configured resolution, or the
+// most common source dimension. `mismatched` is set when some source needs resizing.
+function findTargetDimension(config, videoDimensions) {
+  const dimensionCounts = new Map();
+  for (const { dimensions } of videoDimensions.values()) {
+    dimensionCounts.set(dimensions, (dimensionCounts.get(dimensions) || 0) + 1);
+  }
+
+  // An explicit resolution wins over the most common source dimension
+  const resolution = parseResolution(config.video.resolution);
+  let dimensions = '';
+  if (resolution) {
+    dimensions = `${resolution.width}x${resolution.height}`;
+  } else {
+    // Find the most common dimension
+    let maxCount = 0;
+    for (const [dims, count] of dimensionCounts) {
+      if (count > maxCount) {
+        maxCount = count;
+        dimensions = dims;
+      }
+    }
+  }
+
+  const [width, height] = dimensions.split('x').map(Number);
+  const mismatched = Array.from(dimensionCounts.keys()).some(dims => dims !== dimensions);
+  return { width, height, dimensions, explicit: Boolean(resolution), mismatched, dimensionCounts };
+}
+
+// Describe the conversion of each source to MP4. `target` is the frame size to resize
+// mismatched sources to with `dimensionStrategy`, or null to keep every source's size.
+async function planConversions(config, manifest, sourceFiles, videoDimensions, target, dimensionStrategy, planned) {
+  const jobs = [];
+
+  for (const file of sourceFiles) {
+    const filename = path.basename(file, path.extname(file));
+    const videoDim = videoDimensions.get(file);
+    const outputPath = path.join(GENERATED_DIR, 'converted_videos', filename + '.mp4');
+
+    if (!videoDim) {
+      jobs.push({ key: file, name: filename, output: outputPath, error: 'could not read video stream' });
+      continue;
+    }
+
+    // Build video filter chain
+    let videoFilter = '';
+    let resizeMode = null;
+    if (target && (videoDim.width !== target.width || videoDim.height !== target.height)) {
+      resizeMode = dimensionStrategy;
+      // Padding can't shrink a video, so larger sources are scaled to fit instead
+      if (resizeMode === 'pad' && (videoDim.width > target.width || videoDim.height > target.height)) {
+        resizeMode = 'scale';
+      }
+      videoFilter = buildResizeFilter(resizeMode, videoDim, target.width, target.height);
+    }
+
+    // Skip sources that were already converted with the same settings
+    const fp = fingerprint(await hashFile(manifest, file), videoFilter, videoDim.hasAudio, config.video.fps, config.video.crf, config.audio);
+    planned.set(outputPath, fp);
+
+    jobs.push({
+      key: file,
+      name: filename,
+      output: outputPath,
+      source: videoDim,
+      resizeMode,
+      resizeTo: resizeMode ? target.dimensions : null,
+      fp,
+      upToDate: isUpToDate(manifest, 'convert', file, fp),
+      args: conversionArgs(config, file, videoDim, videoFilter, outputPath)
+    });
+  }
+
+  return jobs;
+}
+
+// ffmpeg arguments that convert a video to the encode settings shared by all segments
+// of the final video, so they can be joined without re-encoding
+function conversionArgs(config, file, videoDim, videoFilter, outputPath) {
+  const args = ['-i', file];
+
+  if (videoDim.hasAudio) {
+    // First video and audio stream only, containers like MKV may carry several tracks
+    args.push(
+      '-map', '0:v:0',
+      '-map', '0:a:0',
+      '-af', `pan=stereo|c0=c0|c1=c0,aresample=${config.audio.sampleRate}`  // Convert to stereo and resample
+    );
+  } else {
+    // No audio stream - add silence so every section has the same streams for concatenation
+    args.push(
+      '-f', 'lavfi',
+      '-i', `anullsrc=channel_layout=stereo:sample_rate=${config.audio.sampleRate}`,
+      '-map', '0:v:0',
+      '-map', '1:a',
+      '-shortest'
+    );
+  }
+
+  // Apply filters
+  if (videoFilter) {
+    args.push('-vf', videoFilter);
+  }
+
+  args.push(
+    '-r', String(config.video.fps),
+    '-c:v', 'libx264',
+    '-crf', String(config.video.crf),
+    '-bf', '2',  // Maximum 2 B-frames for YouTube
+    '-flags', '+cgop',  // Closed GOP for YouTube
+    '-pix_fmt', 'yuv420p',  // Ensure compatible pixel format
+    '-c:a', 'aac',
+    '-b:a', config.audio.bitrate,
+    '-ac', '2',  // Stereo audio
+    '-ar', String(config.audio.sampleRate),
+    '-movflags', 'faststart',  // MOOV atom at front for streaming
+    '-y',
+    outputPath
+  );
+
+  return args;
+}
+
+// Describe what a conversion job does to its source, for logs and the build plan
+function describeResize(job) {
+  const action = { pad: 'Adding padding to', scale: 'Scaling', crop: 'Scaling and cropping' }[job.resizeMode];
+  return `${action} ${job.key}: ${job.source.dimensions} -> ${job.resizeTo}`;
+}
+
+// Step 1: Convert source videos to MP4 with dimension fixes
+async function convertVideos(config, manifest, interaction) {
+  startStep('convert', 'Step 1: Converting source videos to MP4...');
+
+  const sourceFiles = await getSourceFiles(config);
+
+  // First, check all source dimensions BEFORE conversion
+  log('Checking source video dimensions...');
+  const videoDimensions = probeSources(sourceFiles);
+  const target = findTargetDimension(config, videoDimensions);
+  let dimensionStrategy = null;
+
+  // Check if all videos have the target dimensions
+  if (target.mismatched) {
+    const warning = target.explicit ? 'Source videos don\'t match the target resolution' : 'Source videos have different dimensions';
+    logWarning(`${warning}:`);
+    for (const [dims, count] of target.dimensionCounts) {
+      log(`  ${dims}: ${count} video(s)`);
+    }
+
+    const label = target.explicit ? 'Target resolution' : 'Most common dimension';
+    log(`\n${colors.YELLOW}${label}: ${target.dimensions}${colors.NC}`);
+
+    dimensionStrategy = config.video.dimensionStrategy;
+    if (dimensionStrategy === 'ask') {
+      if (interaction.assumeYes) {
+        dimensionStrategy = 'pad';
+      } else {
+        log('\nOptions:');
+        log(`1. Pad all videos to ${target.dimensions} (adds black bars, larger videos are scaled down)`);
+        log(`2. Scale all videos to fit ${target.dimensions} (keeps aspect ratio, adds black bars)`);
+        log(`3. Scale and crop all videos to fill ${target.dimensions} (keeps aspect ratio, cuts off edges)`);
+        log('4. Exit and fix manually');
+
+        const answer = await askUser('Please choose (1, 2, 3 or 4):', interaction,
+          'Pass --dimension-strategy=pad|scale|crop|fail to decide how to handle mismatched dimensions.');
+        dimensionStrategy = { 1: 'pad', 2: 'scale', 3: 'crop' }[answer] || 'fail';
+        if (dimensionStrategy === 'fail') {
+          // Stopping was the user's choice, so the CLI exits successfully
+          const error = new Error('Stopped. Please ensure all videos have the same dimensions before running again.');
+          error.exitCode = 0;
+          throw error;
+        }
+      }
+    }
+
+    if (dimensionStrategy === 'fail') {
+      throw new Error(`${warning} (--dimension-strategy=fail)`);
+    }
+    log(`Using dimension strategy: ${dimensionStrategy}`);
+  }
+
+  const jobs = await planConversions(config, manifest, sourceFiles, videoDimensions,
+    target.mismatched ? target : null, dimensionStrategy, new Map());
+
+  // Now convert with dimension fixes and audio normalization in one pass
+  log('\nConverting source videos to MP4...');
+  await runPool(jobs, config.jobs, async (job) => {
+    if (job.error) {
+      recordFailure(config, job.name, new Error(job.error), `Failed: ${job.name} (${job.error})`);
+      return;
+    }
+    if (job.upToDate) {
+      log(`${colors.GREEN}✓ Up to date: ${job.name}${colors.NC}`);
+      return;
+    }
+
+    log(`Converting ${job.key} to MP4...`);
+    if (!job.source.hasAudio) {
+      log(`  ${job.key} has no audio - adding silence`);
+    }
+    if (job.resizeMode) {
+      log(`  ${describeResize(job)}`);
+    }
+
+    try {
+      await execFFmpeg(job.args, `Converting ${job.name}`);
+      await recordStep(manifest, 'convert', job.key, job.fp, [job.output]);
+      log(`${colors.GREEN}✓ Converted: ${job.name}${colors.NC}`);
+    } catch (error) {
+      recordFailure(config, job.name, error, `Failed: ${job.name}`);
+    }
+  });
+
+  // Remove converted videos of sources that no longer exist
+  await pruneStep(manifest, 'convert', sourceFiles);
+}
+
+// Describe how each section is built from its parts: a concat of several parts, or a
+// link to the only part. `convertedFiles` are the file names in converted_videos.
+async function planMerges(manifest, convertedFiles, planned) {
+  const convertedDir = path.join(GENERATED_DIR, 'converted_videos');
+
+  // Group files by section number
   const sections = {};
-  
-  for (const file of files) {
+
+  for (const file of convertedFiles) {
     const match = file.match(/^(\d{2})-/);
-    if (match) {
+    if (match && !file.endsWith('-section.mp4')) {
       const sectionNum = match[1];
       if (!sections[sectionNum]) {
         sections[sectionNum] = [];
@@ -956,147 +3390,1327 @@ async function mergeMultipartSections() {
     }
   }
 
-  // Process each section
-  for (const [sectionNum, sectionFiles] of Object.entries(sections)) {
+  const jobs = [];
+  for (const sectionNum of Object.keys(sections).sort()) {
+    // Sort files to ensure correct order
+    const sectionFiles = sections[sectionNum].sort();
+
+    const outputPath = path.join(convertedDir, `${sectionNum}-section.mp4`);
+    const partFingerprints = [];
+    for (const file of sectionFiles) {
+      partFingerprints.push(await plannedFingerprint(manifest, planned, path.join(convertedDir, file)));
+    }
+    const fp = fingerprint(sectionFiles, partFingerprints);
+    planned.set(outputPath, fp);
+
+    const job = {
+      key: sectionNum,
+      parts: sectionFiles,
+      output: outputPath,
+      fp,
+      upToDate: isUpToDate(manifest, 'merge', sectionNum, fp)
+    };
+
     if (sectionFiles.length > 1) {
-      console.log(`Found multi-part section ${sectionNum} with ${sectionFiles.length} parts`);
+      job.concatFile = path.join(GENERATED_DIR, `concat_${sectionNum}.txt`);
+      job.concatContent = sectionFiles.map(file => `file '${path.resolve(convertedDir, file)}'\n`).join('');
+      job.args = [
+        '-f', 'concat',
+        '-safe', '0',
+        '-i', job.concatFile,
+        '-c', 'copy',
+        '-y',
+        outputPath
+      ];
+    } else {
+      job.linkFrom = path.join(convertedDir, sectionFiles[0]);
+    }
 
-      // Sort files to ensure correct order
-      sectionFiles.sort();
+    jobs.push(job);
+  }
+
+  return jobs;
+}
+
+// Step 2: Merge multi-part sections
+// Parts are kept so unchanged sources don't need converting again on the next run
+async function mergeMultipartSections(config, manifest) {
+  startStep('merge', 'Step 2: Merging multi-part sections...');
+
+  const convertedDir = path.join(GENERATED_DIR, 'converted_videos');
+  const jobs = await planMerges(manifest, await fs.readdir(convertedDir), new Map());
+
+  // Process each section
+  for (const job of jobs) {
+    const sectionNum = job.key;
+    if (job.upToDate) {
+      log(`${colors.GREEN}✓ Up to date: section ${sectionNum}${colors.NC}`);
+      continue;
+    }
+
+    // Single-part sections are hard links to their part, so never write into an old section file
+    await fs.rm(job.output, { force: true });
+
+    if (job.args) {
+      log(`Found multi-part section ${sectionNum} with ${job.parts.length} parts`);
 
       // Create concat file
-      const concatFile = path.join(GENERATED_DIR, `concat_${sectionNum}.txt`);
-      let concatContent = '';
+      await fs.writeFile(job.concatFile, job.concatContent);
+
+      // Merge parts
+      try {
+        await execFFmpeg(job.args, `Merging section ${sectionNum}`);
+
+        // Clean up
+        await fs.unlink(job.concatFile);
+        await recordStep(manifest, 'merge', sectionNum, job.fp, [job.output]);
 
-      for (const file of sectionFiles) {
-        concatContent += `file '${path.resolve(convertedDir, file)}'\n`;
+        log(`${colors.GREEN}✓ Merged section ${sectionNum}${colors.NC}`);
+      } catch (error) {
+        recordFailure(config, `section ${sectionNum}`, error, `Failed to merge section ${sectionNum}`);
+      }
+    } else {
+      // Single part section - link (or copy) under the section name for consistency
+      try {
+        await fs.link(job.linkFrom, job.output);
+      } catch {
+        await fs.copyFile(job.linkFrom, job.output);
       }
+      await recordStep(manifest, 'merge', sectionNum, job.fp, [job.output]);
+    }
+  }
+
+  // Remove section videos whose parts are all gone
+  await pruneStep(manifest, 'merge', jobs.map(job => job.key));
+}
+
+// Directory of the section videos (XX-section.mp4) the steps after merging work on:
+// the jump cut sections, trimmed sections or merged ones, depending on what is turned on
+function sectionsDir(config) {
+  return config.jumpCuts.mode === 'off' ? jumpCutInputDir(config) : path.join(GENERATED_DIR, 'jumpcut');
+}
+
+// Directory of the sections jump cuts work on: the trimmed ones when trimming is on
+function jumpCutInputDir(config) {
+  return path.join(GENERATED_DIR, config.trim.mode === 'off' ? 'converted_videos' : 'trimmed');
+}
 
-      await fs.writeFile(concatFile, concatContent);
+// Validate per-section trim overrides, returning an error message or null
+function checkTrimOverrides(value) {
+  for (const [section, override] of Object.entries(value)) {
+    if (!/^\d{2}$/.test(section)) {
+      return `keys must be two-digit section numbers like "01" (got ${JSON.stringify(section)})`;
+    }
+    if (override === false) continue;
+    if (!override || typeof override !== 'object' || Array.isArray(override)) {
+      return `${section} must be false or an object with start and/or end (got ${JSON.stringify(override)})`;
+    }
+    const unknown = Object.keys(override).find(key => key !== 'start' && key !== 'end');
+    if (unknown) {
+      return `${section} has unknown setting "${unknown}" (use start and end)`;
+    }
+    for (const key of ['start', 'end']) {
+      const time = override[key];
+      if (time !== undefined && (typeof time !== 'number' || !isFinite(time) || time < 0)) {
+        return `${section}.${key} must be a number of seconds (got ${JSON.stringify(time)})`;
+      }
+    }
+    if (override.start !== undefined && override.end !== undefined && override.end <= override.start) {
+      return `${section}.end must be after ${section}.start`;
+    }
+  }
+  return null;
+}
+
+// ffmpeg arguments that log silent intervals and, for silence+freeze, frozen pictures in one pass
+function deadAirDetectArgs(inputFile, trim) {
+  const args = ['-i', inputFile, '-af', `silencedetect=noise=${trim.noise}:d=${trim.minDuration}`];
+  if (trim.mode === 'silence+freeze') {
+    args.push('-vf', `freezedetect=n=-60dB:d=${trim.minDuration}`);
+  } else {
+    args.push('-vn');
+  }
+  args.push('-f', 'null', '-');
+  return args;
+}
+
+// Work out the part of a section to keep, from the end of the dead air it starts with to the
+// start of the dead air it ends with, widened by the padding. With freezes, only time that is
+// both silent and frozen counts as dead air.
+function findContentRange(silences, freezes, duration, padding) {
+  // Detected times are rounded, so allow a little slack at the edges
+  const leading = intervals => intervals.find(interval => interval.start <= 0.1);
+  const trailing = intervals => intervals.find(interval => interval.end >= duration - 0.1);
+
+  const leadingSilence = leading(silences);
+  const trailingSilence = trailing(silences);
+  let start = leadingSilence ? Math.min(leadingSilence.end, duration) : 0;
+  let end = trailingSilence ? trailingSilence.start : duration;
+
+  if (freezes) {
+    const leadingFreeze = leading(freezes);
+    const trailingFreeze = trailing(freezes);
+    start = leadingFreeze ? Math.min(start, leadingFreeze.end) : 0;
+    end = trailingFreeze ? Math.max(end, trailingFreeze.start) : duration;
+  }
+
+  // A section without any speech is kept whole
+  if (end <= start) {
+    return { start: 0, end: duration };
+  }
+
+  return {
+    start: round3(Math.max(0, start - padding)),
+    end: round3(Math.min(duration, end + padding))
+  };
+}
+
+// ffmpeg arguments that cut a section to [start, end]
+function trimArgs(inputFile, start, length, outputFile, config) {
+  return ['-ss', String(start), '-i', inputFile, '-t', String(length), ...sectionEncodeArgs(config), '-y', outputFile];
+}
+
+// Encoder settings for sections cut by trimming or jump cuts, matching the converted videos
+// so the final concat can still copy
+function sectionEncodeArgs(config) {
+  return [
+    '-r', String(config.video.fps),
+    '-c:v', 'libx264',
+    '-crf', String(config.video.crf),
+    '-bf', '2',  // Maximum 2 B-frames
+    '-flags', '+cgop',  // Closed GOP
+    '-pix_fmt', 'yuv420p',
+    '-c:a', 'aac',
+    '-b:a', config.audio.bitrate,
+    '-ac', '2',  // Stereo
+    '-ar', String(config.audio.sampleRate),
+    '-movflags', 'faststart'
+  ];
+}
+
+// Describe the trimming of each section video. Overrides from trim.sections replace the
+// detected start and/or end; a section set to false is kept whole.
+async function planTrims(config, manifest, sectionPaths, planned) {
+  const trimmedDir = path.join(GENERATED_DIR, 'trimmed');
+  const jobs = [];
+
+  for (const sectionPath of sectionPaths) {
+    const file = path.basename(sectionPath);
+    const sectionNum = file.substring(0, 2);
+    const override = config.trim.sections[sectionNum];
+    const output = path.join(trimmedDir, file);
+    const rangeFile = path.join(trimmedDir, `${sectionNum}-section.trim.json`);
+
+    const { mode, padding, noise, minDuration } = config.trim;
+    const fp = fingerprint(await plannedFingerprint(manifest, planned, sectionPath), mode, padding, noise, minDuration,
+      override === undefined ? null : override, config.video.fps, config.video.crf, config.audio);
+    planned.set(output, fp);
+    jobs.push({
+      key: sectionNum,
+      input: sectionPath,
+      output,
+      rangeFile,
+      override: override === undefined ? null : override,
+      // Nothing to detect if both ends are overridden or the section is kept whole
+      detect: override !== false && !(override && override.start !== undefined && override.end !== undefined),
+      fp,
+      upToDate: isUpToDate(manifest, 'trim', sectionNum, fp)
+    });
+  }
+
+  return jobs;
+}
+
+// Describe a section's kept range for logs, e.g. "2.8s-312.4s of 318.0s (detected)"
+function describeTrim(range) {
+  const cut = range.duration - (range.end - range.start);
+  if (cut <= 0) {
+    return `nothing to trim (${range.source})`;
+  }
+  return `keeping ${range.start.toFixed(1)}s-${range.end.toFixed(1)}s of ${range.duration.toFixed(1)}s (${range.source})`;
+}
+
+// Hard link (or copy) a section video under another name
+async function linkSection(from, to) {
+  try {
+    await fs.link(from, to);
+  } catch {
+    await fs.copyFile(from, to);
+  }
+}
+
+// Run one section through a step that writes job.output. The old output is removed first,
+// never written into, as it may be a hard link to the section. If the step fails, the
+// section goes on unchanged and the failure is reported as a warning; it isn't recorded in
+// the manifest, so the next run tries again.
+async function processSection(job, action, fallback, work) {
+  try {
+    await fs.rm(job.output, { force: true });
+    await work();
+  } catch (error) {
+    recordWarning(`section ${job.key}`, error, `Failed to ${action} section ${job.key}: ${error.message} - using it ${fallback}`);
+    await fs.rm(job.output, { force: true });
+    await linkSection(job.input, job.output);
+  }
+}
+
+// Step 2b: Trim dead air at the start and end of each section
+async function trimSections(config, manifest) {
+  if (config.trim.mode === 'off') {
+    // Remove sections trimmed by earlier runs
+    await pruneStep(manifest, 'trim', []);
+    return;
+  }
+
+  startStep('trim', 'Step 2b: Trimming dead air at the start and end of sections...');
+  await fs.mkdir(path.join(GENERATED_DIR, 'trimmed'), { recursive: true });
+
+  const convertedDir = path.join(GENERATED_DIR, 'converted_videos');
+  const sectionPaths = (await fs.readdir(convertedDir))
+    .filter(f => f.match(/^\d{2}-section\.mp4$/)).sort()
+    .map(f => path.join(convertedDir, f));
+  const jobs = await planTrims(config, manifest, sectionPaths, new Map());
+
+  await runPool(jobs, config.jobs, async (job) => {
+    if (job.upToDate) {
+      const range = JSON.parse(await fs.readFile(job.rangeFile, 'utf8'));
+      log(`${colors.GREEN}✓ Up to date: section ${job.key}, ${describeTrim(range)}${colors.NC}`);
+      return;
+    }
+
+    await processSection(job, 'trim', 'untrimmed', async () => {
+      const duration = probeDuration(job.input);
+      let range = { start: 0, end: duration };
+      if (job.detect) {
+        const { stderr } = await runCommand('ffmpeg', deadAirDetectArgs(job.input, config.trim));
+        const silences = parseDetectedIntervals(stderr, 'silence_start', 'silence_end');
+        const freezes = config.trim.mode === 'silence+freeze'
+          ? parseDetectedIntervals(stderr, 'freeze_start', 'freeze_end')
+          : null;
+        range = findContentRange(silences, freezes, duration, config.trim.padding);
+      }
+      if (job.override) {
+        range = {
+          start: job.override.start !== undefined ? Math.min(job.override.start, duration) : range.start,
+          end: job.override.end !== undefined ? Math.min(job.override.end, duration) : range.end
+        };
+      }
+      // Cuts of a few milliseconds aren't worth a re-encode
+      if (range.start < 0.05 && range.end > duration - 0.05) {
+        range = { start: 0, end: duration };
+      }
+      const source = job.override === false ? 'override: kept whole' : job.override ? 'override' : 'detected';
+      range = { start: round3(range.start), end: round3(range.end), duration: round3(duration), source };
+
+      if (range.end - range.start < range.duration) {
+        await execFFmpeg(trimArgs(job.input, range.start, round3(range.end - range.start), job.output, config),
+          `Trimming section ${job.key}`);
+      } else {
+        await linkSection(job.input, job.output);
+      }
+
+      await fs.writeFile(job.rangeFile, JSON.stringify(range, null, 2));
+      await recordStep(manifest, 'trim', job.key, job.fp, [job.output, job.rangeFile]);
+      log(`${colors.GREEN}✓ Section ${job.key}: ${describeTrim(range)}${colors.NC}`);
+    });
+  });
+
+  await pruneStep(manifest, 'trim', jobs.map(job => job.key));
+  log(`Override detected trims with trim.sections in ${CONFIG_FILE}`);
+}
+
+// Work out the parts of a section to keep when pauses longer than minPause are shortened to
+// keepPause. Cut points are snapped to frame boundaries so audio and video stay in sync.
+function findJumpCutSegments(silences, duration, jumpCuts, fps) {
+  const snap = time => Math.round(time * fps) / fps;
+  const segments = [];
+  let position = 0;
+
+  // Slivers shorter than a crossfade are dropped along with the pauses around them
+  const keep = (start, end) => {
+    if (end - start >= JUMP_CUT_CROSSFADE) {
+      segments.push({ start: round3(start), end: round3(end) });
+    }
+  };
+
+  for (const silence of silences) {
+    const end = Math.min(silence.end, duration);
+    if (end - silence.start <= jumpCuts.minPause) continue;
+
+    const cutStart = snap(silence.start + jumpCuts.keepPause / 2);
+    const cutEnd = snap(end - jumpCuts.keepPause / 2);
+    // The crossfade borrows audio from the removed part on both sides
+    if (cutEnd - cutStart < JUMP_CUT_CROSSFADE * 2) continue;
+
+    keep(position, cutStart);
+    position = cutEnd;
+  }
+
+  keep(position, duration);
+
+  // A section that is one long pause is kept whole
+  return segments.length > 0 ? segments : [{ start: 0, end: round3(duration) }];
+}
+
+// Build the filter graph that keeps the given segments: select for the video, and for the
+// audio each segment plus half a crossfade on either side, joined with acrossfade
+function buildJumpCutFilter(segments, fps) {
+  const half = JUMP_CUT_CROSSFADE / 2;
+  // Half a frame of slack on both sides, as the frame-aligned cut points are rounded
+  const slack = 0.5 / fps;
+  const selection = segments.map(segment => `between(t,${round3(segment.start - slack)},${round3(segment.end - slack)})`).join('+');
+  const filters = [`[0:v]select='${selection}',setpts=N/${fps}/TB[vout]`];
+
+  filters.push(`[0:a]asplit=${segments.length}${segments.map((_, i) => `[as${i}]`).join('')}`);
+  segments.forEach((segment, i) => {
+    const start = i > 0 ? round3(segment.start - half) : segment.start;
+    const end = i < segments.length - 1 ? round3(segment.end + half) : segment.end;
+    filters.push(`[as${i}]atrim=start=${start}:end=${end},asetpts=PTS-STARTPTS[a${i}]`);
+  });
+
+  let previous = 'a0';
+  for (let i = 1; i < segments.length; i++) {
+    const output = i === segments.length - 1 ? 'aout' : `x${i}`;
+    filters.push(`[${previous}][a${i}]acrossfade=d=${JUMP_CUT_CROSSFADE}:c1=tri:c2=tri[${output}]`);
+    previous = output;
+  }
+
+  return filters.join(';');
+}
+
+// ffmpeg arguments that rebuild a section from the segments to keep
+function jumpCutArgs(inputFile, filter, outputFile, config) {
+  return ['-i', inputFile, '-filter_complex', filter, '-map', '[vout]', '-map', '[aout]', ...sectionEncodeArgs(config), '-y', outputFile];
+}
+
+// Describe the jump cuts of each section video into generated/jumpcut
+async function planJumpCuts(config, manifest, sectionPaths, planned) {
+  const jumpCutDir = path.join(GENERATED_DIR, 'jumpcut');
+  const jobs = [];
+
+  for (const sectionPath of sectionPaths) {
+    const file = path.basename(sectionPath);
+    const sectionNum = file.substring(0, 2);
+    const output = path.join(jumpCutDir, file);
+
+    const fp = fingerprint(await plannedFingerprint(manifest, planned, sectionPath), config.jumpCuts,
+      JUMP_CUT_CROSSFADE, config.video.fps, config.video.crf, config.audio);
+    planned.set(output, fp);
+    jobs.push({
+      key: sectionNum,
+      input: sectionPath,
+      output,
+      cutsFile: path.join(jumpCutDir, `${sectionNum}-section.cuts.json`),
+      fp,
+      upToDate: isUpToDate(manifest, 'jumpCut', sectionNum, fp),
+      detectArgs: silenceDetectArgs(sectionPath, JUMP_CUT_NOISE[config.jumpCuts.mode], config.jumpCuts.minPause)
+    });
+  }
+
+  return jobs;
+}
+
+// Describe a section's jump cuts for logs, e.g. "12 pauses shortened, 31.4s of 600.0s removed"
+function describeJumpCuts(cuts) {
+  if (cuts.pauses === 0) {
+    return 'no long pauses';
+  }
+  return `${cuts.pauses} pause${cuts.pauses === 1 ? '' : 's'} shortened, ${cuts.removed.toFixed(1)}s of ${cuts.duration.toFixed(1)}s removed`;
+}
+
+// Step 2c: Shorten long pauses inside each section with jump cuts
+async function jumpCutSections(config, manifest) {
+  if (config.jumpCuts.mode === 'off') {
+    // Remove sections cut by earlier runs
+    await pruneStep(manifest, 'jumpCut', []);
+    return;
+  }
+
+  const { mode, minPause, keepPause } = config.jumpCuts;
+  startStep('jumpCut', `Step 2c: Shortening pauses over ${minPause}s to ${keepPause}s (${mode})...`);
+  await fs.mkdir(path.join(GENERATED_DIR, 'jumpcut'), { recursive: true });
+
+  const inputDir = jumpCutInputDir(config);
+  const sectionPaths = (await fs.readdir(inputDir))
+    .filter(f => f.match(/^\d{2}-section\.mp4$/)).sort()
+    .map(f => path.join(inputDir, f));
+  const jobs = await planJumpCuts(config, manifest, sectionPaths, new Map());
+
+  await runPool(jobs, config.jobs, async (job) => {
+    if (job.upToDate) {
+      const cuts = JSON.parse(await fs.readFile(job.cutsFile, 'utf8'));
+      log(`${colors.GREEN}✓ Up to date: section ${job.key}, ${describeJumpCuts(cuts)}${colors.NC}`);
+      return;
+    }
+
+    await processSection(job, 'cut', 'uncut', async () => {
+      const duration = probeDuration(job.input);
+      const { stderr } = await runCommand('ffmpeg', job.detectArgs);
+      const segments = findJumpCutSegments(parseDetectedIntervals(stderr, 'silence_start', 'silence_end'),
+        duration, config.jumpCuts, config.video.fps);
+      const kept = segments.reduce((sum, segment) => sum + segment.end - segment.start, 0);
+      const cuts = { duration: round3(duration), removed: round3(duration - kept), pauses: segments.length - 1, segments };
+
+      if (segments.length > 1) {
+        const filter = buildJumpCutFilter(segments, config.video.fps);
+        await execFFmpeg(jumpCutArgs(job.input, filter, job.output, config), `Cutting section ${job.key}`, kept);
+      } else {
+        await linkSection(job.input, job.output);
+      }
+
+      await fs.writeFile(job.cutsFile, JSON.stringify(cuts, null, 2));
+      await recordStep(manifest, 'jumpCut', job.key, job.fp, [job.output, job.cutsFile]);
+      log(`${colors.GREEN}✓ Section ${job.key}: ${describeJumpCuts(cuts)}${colors.NC}`);
+    });
+  });
+
+  await pruneStep(manifest, 'jumpCut', jobs.map(job => job.key));
+}
+
+// Validate per-section lower thirds, returning an error message or null
+function checkLowerThirds(value) {
+  for (const [section, lowerThird] of Object.entries(value)) {
+    if (!/^\d{2}$/.test(section)) {
+      return `keys must be two-digit section numbers like "01" (got ${JSON.stringify(section)})`;
+    }
+    if (!lowerThird || typeof lowerThird !== 'object' || Array.isArray(lowerThird)) {
+      return `${section} must be an object with title, subtitle, start and/or duration (got ${JSON.stringify(lowerThird)})`;
+    }
+    const unknown = Object.keys(lowerThird).find(key => !['title', 'subtitle', 'start', 'duration'].includes(key));
+    if (unknown) {
+      return `${section} has unknown setting "${unknown}" (use title, subtitle, start and duration)`;
+    }
+    for (const key of ['title', 'subtitle']) {
+      const text = lowerThird[key];
+      if (text !== undefined && (typeof text !== 'string' || text === '')) {
+        return `${section}.${key} must be a non-empty string (got ${JSON.stringify(text)})`;
+      }
+    }
+    const { start, duration } = lowerThird;
+    if (start !== undefined && (typeof start !== 'number' || !isFinite(start) || start < 0)) {
+      return `${section}.start must be a number of seconds (got ${JSON.stringify(start)})`;
+    }
+    if (duration !== undefined && (typeof duration !== 'number' || !isFinite(duration) || duration <= 0)) {
+      return `${section}.duration must be a positive number of seconds (got ${JSON.stringify(duration)})`;
+    }
+  }
+  return null;
+}
+
+// Whether the sections get a logo or lower thirds composited onto them
+function overlaysEnabled(config) {
+  return Boolean(config.overlays.logo) || Object.keys(config.overlays.lowerThirds).length > 0;
+}
+
+// Fill in the lower thirds from the config: the title defaults to the author from the talk
+// block of title_cards.json, and each is shown from 1s into its section for 5s
+function resolveLowerThirds(config, talk) {
+  const lowerThirds = new Map();
+  for (const [section, lowerThird] of Object.entries(config.overlays.lowerThirds)) {
+    const title = lowerThird.title || (talk && talk.author);
+    if (!title) {
+      logWarning(`Lower third for section ${section} has no title and title_cards.json has no talk.author - leaving it out`);
+      continue;
+    }
+    lowerThirds.set(section, {
+      title,
+      subtitle: lowerThird.subtitle || '',
+      start: lowerThird.start !== undefined ? lowerThird.start : 1,
+      duration: lowerThird.duration !== undefined ? lowerThird.duration : 5
+    });
+  }
+  return lowerThirds;
+}
+
+// Generate the HTML of a lower third at the given frame size
+function generateLowerThirdHTML(lowerThird, width, height, theme, markup) {
+  let template = theme.lowerThird;
+  // Resolve relative asset paths (images, fonts) against the theme directory
+  if (theme.baseDir) {
+    template = template.replace('<head>', `<head>\n<base href="${pathToFileURL(theme.baseDir).href}/">`);
+  }
+  return renderTemplate(template, {
+    width,
+    height,
+    title: formatCardText(lowerThird.title, markup),
+    subtitle: formatCardText(lowerThird.subtitle, markup)
+  });
+}
+
+// Render a lower third to a PNG with a transparent background using Chrome
+async function renderLowerThird(lowerThird, output, width, height, theme, markup) {
+  const chromeCmd = findChrome();
+  if (!chromeCmd) {
+    throw new Error('Chrome/Chromium not found');
+  }
+
+  const htmlFile = `./lower_third_${process.pid}_${++tempFileCounter}.html`;
+  await fs.writeFile(htmlFile, generateLowerThirdHTML(lowerThird, width, height, theme, markup));
+  try {
+    await runCommand(chromeCmd, chromeScreenshotArgs(htmlFile, output, width, height, 'text'));
+  } finally {
+    await fs.unlink(htmlFile);
+  }
+}
+
+// Build the filter graph that puts the logo in its corner and fades the lower third in and
+// out over the section. Input 0 is the section, followed by the logo and the lower third.
+function buildOverlayFilter(overlays, lowerThird) {
+  const filters = [];
+  let video = '0:v';
+  let input = 1;
+
+  if (overlays.logo) {
+    filters.push(`[${input}:v]format=rgba,colorchannelmixer=aa=${overlays.opacity}[logo]`);
+    filters.push(`[${video}][logo]overlay=${LOGO_POSITIONS[overlays.position](overlays.margin)}:shortest=1[withlogo]`);
+    video = 'withlogo';
+    input++;
+  }
+
+  if (lowerThird) {
+    const { start, duration } = lowerThird;
+    const fade = round3(Math.min(0.5, duration / 4));
+    const end = round3(start + duration);
+    filters.push(`[${input}:v]format=rgba,fade=t=in:st=${start}:d=${fade}:alpha=1,fade=t=out:st=${round3(end - fade)}:d=${fade}:alpha=1[lowerthird]`);
+    filters.push(`[${video}][lowerthird]overlay=0:0:shortest=1:enable='between(t,${start},${end})'[withlowerthird]`);
+    video = 'withlowerthird';
+  }
+
+  filters.push(`[${video}]format=yuv420p[vout]`);
+  return filters.join(';');
+}
+
+// ffmpeg arguments that composite the overlay images onto a section. The images are looped
+// at the section frame rate so they last as long as the section.
+function overlayArgs(inputFile, images, filter, outputFile, config) {
+  const args = ['-i', inputFile];
+  for (const image of images) {
+    args.push('-loop', '1', '-framerate', String(config.video.fps), '-i', image);
+  }
+  args.push('-filter_complex', filter, '-map', '[vout]', '-map', '0:a', ...sectionEncodeArgs(config), '-y', outputFile);
+  return args;
+}
+
+// Describe the overlays of each section video into generated/overlaid. Sections with
+// nothing to composite are linked unchanged.
+async function planOverlays(config, manifest, sectionPaths, lowerThirds, planned) {
+  const overlaidDir = path.join(GENERATED_DIR, 'overlaid');
+  const theme = await loadTheme(config.titleCards.theme);
+  const { logo, position, opacity, margin } = config.overlays;
+  const logoHash = logo ? await hashFile(manifest, logo) : null;
+  const themeFiles = lowerThirds.size > 0 ? await hashThemeFiles(manifest, theme) : null;
+  const jobs = [];
+
+  for (const sectionPath of sectionPaths) {
+    const file = path.basename(sectionPath);
+    const sectionNum = file.substring(0, 2);
+    const output = path.join(overlaidDir, file);
+    const lowerThird = lowerThirds.get(sectionNum) || null;
+    const lowerThirdImage = lowerThird ? path.join(overlaidDir, `${sectionNum}-lower-third.png`) : null;
+
+    const fp = fingerprint(await plannedFingerprint(manifest, planned, sectionPath), logoHash, position, opacity, margin,
+      lowerThird, lowerThird ? theme.lowerThird : null, lowerThird ? themeFiles : null, lowerThird ? config.titleCards.markup : null,
+      config.video.fps, config.video.crf, config.audio);
+    planned.set(output, fp);
+
+    const images = [logo, lowerThirdImage].filter(Boolean);
+    jobs.push({
+      key: sectionNum,
+      input: sectionPath,
+      output,
+      lowerThird,
+      lowerThirdImage,
+      theme,
+      fp,
+      upToDate: isUpToDate(manifest, 'overlay', sectionNum, fp),
+      args: images.length > 0
+        ? overlayArgs(sectionPath, images, buildOverlayFilter(config.overlays, lowerThird), output, config)
+        : null
+    });
+  }
+
+  return jobs;
+}
+
+// Composite the logo and lower thirds onto the sections. Pairs are switched to the
+// overlaid sections.
+async function overlaySections(config, manifest, pairs) {
+  const parts = [config.overlays.logo && 'logo', Object.keys(config.overlays.lowerThirds).length > 0 && 'lower thirds'];
+  log(`Adding overlays (${parts.filter(Boolean).join(', ')})...`);
+  await fs.mkdir(path.join(GENERATED_DIR, 'overlaid'), { recursive: true });
+
+  const lowerThirds = resolveLowerThirds(config, await loadTalk());
+  const jobs = await planOverlays(config, manifest, pairs.map(pair => pair.sectionVideoPath), lowerThirds, new Map());
+
+  await runPool(jobs, config.jobs, async (job) => {
+    if (job.upToDate) {
+      log(`${colors.GREEN}✓ Up to date: ${job.output}${colors.NC}`);
+      return;
+    }
+
+    await processSection(job, 'add overlays to', 'without them', async () => {
+      const outputs = [job.output];
+      if (job.args) {
+        if (job.lowerThird) {
+          const { width, height } = probeSource(job.input);
+          await renderLowerThird(job.lowerThird, job.lowerThirdImage, width, height, job.theme, config.titleCards.markup);
+          outputs.push(job.lowerThirdImage);
+        }
+        await execFFmpeg(job.args, `Adding overlays to section ${job.key}`);
+      } else {
+        await linkSection(job.input, job.output);
+      }
+
+      await recordStep(manifest, 'overlay', job.key, job.fp, outputs);
+      const added = [config.overlays.logo && 'logo', job.lowerThird && `lower third "${job.lowerThird.title}"`].filter(Boolean);
+      log(`${colors.GREEN}✓ Section ${job.key}: ${added.length > 0 ? added.join(', ') : 'nothing to add'}${colors.NC}`);
+    });
+  });
+
+  await pruneStep(manifest, 'overlay', jobs.map(job => job.key));
+
+  jobs.forEach((job, index) => {
+    pairs[index].sectionVideoPath = job.output;
+  });
+}
+
+// Format seconds as a subtitle timestamp (SRT uses a comma, WebVTT a dot)
+function formatSubtitleTime(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${separator}${pad(ms, 3)}`;
+}
+
+// Split a transcription segment into cues of readable length, timed by character count
+function splitSegmentIntoCues(segment, maxChars = 84) {
+  const words = segment.text.split(/\s+/).filter(Boolean);
+  const texts = [];
+  let current = '';
+
+  for (const word of words) {
+    if (current && current.length + 1 + word.length > maxChars) {
+      texts.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (current) texts.push(current);
+
+  const totalChars = texts.reduce((sum, text) => sum + text.length, 0);
+  const cues = [];
+  let start = segment.start;
+  for (const text of texts) {
+    const end = start + (segment.end - segment.start) * (text.length / totalChars);
+    cues.push({ start, end, text });
+    start = end;
+  }
+  return cues;
+}
+
+// Wrap cue text onto at most two lines
+function wrapCueText(text, maxLineLength = 42) {
+  if (text.length <= maxLineLength) return text;
+  const middle = Math.floor(text.length / 2);
+  const before = text.lastIndexOf(' ', middle);
+  const after = text.indexOf(' ', middle);
+  const breakAt = before === -1 ? after : (after === -1 || middle - before <= after - middle ? before : after);
+  if (breakAt === -1) return text;
+  return `${text.slice(0, breakAt)}\n${text.slice(breakAt + 1)}`;
+}
+
+// Build subtitle cues for the final video from per-section transcription segments
+async function buildSubtitleCues(timeline) {
+  const cues = [];
+
+  for (const entry of timeline) {
+    const segmentsPath = path.join(GENERATED_DIR, 'transcriptions', `${entry.sectionNum}-section.json`);
+    if (!existsSync(segmentsPath)) continue;
+
+    const { segments } = JSON.parse(await fs.readFile(segmentsPath, 'utf8'));
+    for (const segment of segments) {
+      for (const cue of splitSegmentIntoCues(segment)) {
+        // Clamp to the section so cues never spill into the next title card
+        const start = entry.sectionStart + Math.min(cue.start, entry.sectionDuration);
+        const end = entry.sectionStart + Math.min(cue.end, entry.sectionDuration);
+        if (end > start) {
+          cues.push({ start, end, text: wrapCueText(cue.text) });
+        }
+      }
+    }
+  }
+
+  return cues;
+}
+
+function formatSRT(cues) {
+  return cues.map((cue, i) =>
+    `${i + 1}\n${formatSubtitleTime(cue.start, ',')} --> ${formatSubtitleTime(cue.end, ',')}\n${cue.text}\n`
+  ).join('\n');
+}
+
+function formatWebVTT(cues) {
+  const body = cues.map(cue =>
+    `${formatSubtitleTime(cue.start, '.')} --> ${formatSubtitleTime(cue.end, '.')}\n${cue.text}\n`
+  ).join('\n');
+  return `WEBVTT\n\n${body}`;
+}
+
+// Write SRT and WebVTT subtitles next to the final video
+async function writeSubtitles(timeline, outputVideo) {
+  const cues = await buildSubtitleCues(timeline);
+  if (cues.length === 0) {
+    log(`${colors.YELLOW}No timestamped transcriptions found - skipping subtitles${colors.NC}`);
+    return;
+  }
+
+  const base = outputVideo.slice(0, -path.extname(outputVideo).length);
+  await fs.writeFile(`${base}.srt`, formatSRT(cues));
+  await fs.writeFile(`${base}.vtt`, formatWebVTT(cues));
+  log(`${colors.GREEN}✓ Subtitles: ${base}.srt, ${base}.vtt (${cues.length} cues)${colors.NC}`);
+}
+
+// Read title_cards.json into a map from section number to card, if it exists
+async function loadTitleCardsByNumber() {
+  const cards = new Map();
+  if (existsSync('title_cards.json')) {
+    const titleCardsData = await readTitleCards();
+    for (const card of titleCardsData.title_cards) {
+      cards.set(card.number, card);
+    }
+  }
+  return cards;
+}
+
+// Read the talk block of title_cards.json, or null if there is none
+async function loadTalk() {
+  if (!existsSync('title_cards.json')) return null;
+  const titleCardsData = await readTitleCards();
+  return titleCardsData.talk || null;
+}
+
+// Escape a value for ffmetadata files ('=', ';', '#', '\\' and newlines are special)
+function escapeFFMetadata(value) {
+  return String(value).replace(/[=;#\\\n]/g, char => `\\${char}`);
+}
+
+// Generate an ffmetadata file with one chapter per section, plus `extraChapters` ({ start, title })
+// for the talk segments around the sections
+function generateChapterMetadata(timeline, cardsByNumber, extraChapters = [], totalDuration = null, markup = 'none') {
+  const chapters = timeline.map(entry => {
+    const card = cardsByNumber.get(entry.sectionNum);
+    let title = `Section ${entry.sectionNum}`;
+    if (card && card.title) {
+      title = plainCardText(card.description ? `${card.title} - ${card.description}` : card.title, markup);
+    }
+    return { start: entry.titleStart, title };
+  });
+  chapters.push(...extraChapters);
+  chapters.sort((a, b) => a.start - b.start);
+
+  const last = timeline[timeline.length - 1];
+  const videoEnd = totalDuration !== null ? totalDuration : last.sectionStart + last.sectionDuration;
+
+  let content = ';FFMETADATA1\n';
+  chapters.forEach((chapter, i) => {
+    // A chapter runs until the next one starts (they overlap the segment end with transitions)
+    const next = chapters[i + 1];
+    const start = Math.round(chapter.start * 1000);
+    const end = Math.round((next ? next.start : videoEnd) * 1000);
+    content += '\n[CHAPTER]\nTIMEBASE=1/1000\n';
+    content += `START=${start}\nEND=${end}\n`;
+    content += `title=${escapeFFMetadata(chapter.title)}\n`;
+  });
+
+  return content;
+}
+
+// Work out where each title card and section starts in the final video, starting at `start`.
+// Each transition overlaps two neighbouring segments by its duration.
+function buildTimeline(pairs, overlap = 0, start = 0) {
+  const timeline = [];
+  let position = start;
+
+  for (const pair of pairs) {
+    const titleStart = position;
+    const sectionStart = titleStart + pair.titleDuration - overlap;
+    timeline.push({ ...pair, titleStart, sectionStart });
+    position = sectionStart + pair.sectionDuration - overlap;
+  }
+
+  return timeline;
+}
+
+// Parse a transition setting like "fade:0.5" into { type, duration }, or null for "none"
+function parseTransition(value) {
+  if (value === 'none') return null;
+  const [type, duration] = value.split(':');
+  return { type, duration: duration === undefined ? 0.5 : parseFloat(duration) };
+}
+
+// Validate a transition setting, returning an error message or null
+function checkTransition(value) {
+  if (value === 'none') return null;
+  const match = value.match(/^([a-z]+)(?::(\d+(?:\.\d+)?))?$/);
+  if (!match || !XFADE_TRANSITIONS.includes(match[1])) {
+    return `must be "none" or <type>[:<seconds>] with type one of ${XFADE_TRANSITIONS.join(', ')} (got ${JSON.stringify(value)})`;
+  }
+  if (match[2] !== undefined && (parseFloat(match[2]) <= 0 || parseFloat(match[2]) > 5)) {
+    return `duration must be greater than 0 and at most 5 seconds (got ${match[2]})`;
+  }
+  return null;
+}
+
+// Build the filter graph that joins all segments with xfade (video) and acrossfade (audio)
+function buildTransitionFilter(segmentDurations, transition, config) {
+  const filters = [];
+  const { type, duration } = transition;
+
+  // xfade needs identical timebases, frame rates and pixel formats on both inputs
+  segmentDurations.forEach((_, i) => {
+    filters.push(`[${i}:v]settb=AVTB,fps=${config.video.fps},format=yuv420p,setsar=1[v${i}]`);
+  });
+
+  let videoLabel = 'v0';
+  let audioLabel = '0:a';
+  let offset = 0;
+  for (let i = 1; i < segmentDurations.length; i++) {
+    offset += segmentDurations[i - 1] - duration;
+    const last = i === segmentDurations.length - 1;
+    const nextVideo = last ? 'vout' : `x${i}`;
+    const nextAudio = last ? 'aout' : `a${i}`;
+    filters.push(`[${videoLabel}][v${i}]xfade=transition=${type}:duration=${duration}:offset=${round3(offset)}[${nextVideo}]`);
+    filters.push(`[${audioLabel}][${i}:a]acrossfade=d=${duration}[${nextAudio}]`);
+    videoLabel = nextVideo;
+    audioLabel = nextAudio;
+  }
+
+  return filters.join(';');
+}
+
+// Step 7: Create final video
+async function createFinalVideo(config, manifest) {
+  startStep('assemble', 'Step 7: Creating final video...');
+
+  // Get all section numbers from title cards
+  const titleCardsDir = path.join(GENERATED_DIR, 'title_cards');
+  const titleCards = await fs.readdir(titleCardsDir);
+  const mp4TitleCards = titleCards.filter(f => f.match(/^\d{2}-title\.mp4$/)).sort();
+
+  // Pair each title card with its section video
+  const pairs = [];
+  for (const titleCard of mp4TitleCards) {
+    const sectionNum = titleCard.substring(0, 2);
+    const titleCardPath = path.join(titleCardsDir, titleCard);
+    const sectionVideoPath = path.join(sectionsDir(config), `${sectionNum}-section.mp4`);
+
+    if (existsSync(sectionVideoPath)) {
+      pairs.push({
+        sectionNum,
+        titleCardPath,
+        sectionVideoPath,
+        titleDuration: probeDuration(titleCardPath),
+        sectionDuration: probeDuration(sectionVideoPath)
+      });
+    }
+  }
+
+  if (pairs.length === 0) {
+    throw new Error('No videos to concatenate');
+  }
+
+  if (overlaysEnabled(config)) {
+    await overlaySections(config, manifest, pairs);
+  }
+
+  if (config.loudness.normalize === 'sections') {
+    await normalizeSections(config, manifest, pairs);
+  }
+
+  const extras = await prepareTalkSegments(config, manifest, pairs);
+
+  const final = planFinalVideo(config, pairs, extras);
+  const { transition, timeline } = final;
+
+  // Chapter metadata, one chapter per section starting at its title card, plus the talk segments
+  await fs.writeFile(final.chaptersFile,
+    generateChapterMetadata(timeline, await loadTitleCardsByNumber(), final.extraChapters, final.totalDuration,
+      config.titleCards.markup));
+
+  if (transition) {
+    log(`Merging all segments with ${transition.type} transitions (${transition.duration}s)...`);
+  } else {
+    log('Merging all segments...');
+    await fs.writeFile(final.concatFile, final.concatContent);
+  }
+
+  try {
+    await execFFmpeg(final.args, 'Creating final video', final.totalDuration);
+
+    if (final.assembledFile) {
+      await normalizeFinalVideo(config, final.assembledFile);
+    }
+  } catch (error) {
+    throw new Error(`Failed to create final video: ${error.message}`);
+  }
 
-      // Merge parts
-      const outputPath = path.join(convertedDir, `${sectionNum}-section.mp4`);
-      try {
-        await execFFmpeg([
-          '-f', 'concat',
-          '-safe', '0',
-          '-i', concatFile,
-          '-c', 'copy',
-          '-y',
-          outputPath
-        ], `Merging section ${sectionNum}`);
+  await writeSubtitles(timeline, config.output);
 
-        // Clean up
-        await fs.unlink(concatFile);
-        for (const file of sectionFiles) {
-          if (!file.endsWith('-section.mp4')) {
-            await fs.unlink(path.join(convertedDir, file));
-          }
-        }
+  const duration = probeDuration(config.output);
+  const chapters = timeline.length + final.extraChapters.length;
+  log(`\n${colors.GREEN}✅ Success! Final video created:${colors.NC}`);
+  log(`   Output: ${config.output}`);
+  log(`   Duration: approximately ${Math.round(duration / 60)} minutes`);
+  log(`   Chapters: ${chapters}`);
+  return { output: config.output, duration, chapters };
+}
 
-        console.log(`${colors.GREEN}✓ Merged section ${sectionNum}${colors.NC}`);
-      } catch {
-        console.log(`${colors.RED}✗ Failed to merge section ${sectionNum}${colors.NC}`);
-      }
-    } else if (sectionFiles.length === 1) {
-      // Single part section - rename for consistency
-      const oldPath = path.join(convertedDir, sectionFiles[0]);
-      const newPath = path.join(convertedDir, `${sectionNum}-section.mp4`);
+// Collect the segments around the sections: the intro clip and the opening card before them
+// and the end card after them, each { path, duration, chapter }. The intro clip is converted
+// to the sections' frame size and encode settings if it changed.
+async function prepareTalkSegments(config, manifest, pairs) {
+  const before = [];
+  const after = [];
+
+  const intro = findIntroClip(config, await fs.readdir('.'));
+  if (intro) {
+    const { width, height } = probeSource(pairs[0].sectionVideoPath);
+    const job = await planIntroClip(config, manifest, intro, width, height);
+    let ready = job.upToDate;
+    if (job.upToDate) {
+      log(`${colors.GREEN}✓ Up to date: intro clip ${intro}${colors.NC}`);
+    } else {
+      log(job.videoFilter ? `Converting intro clip ${intro} (scaling to ${width}x${height})...` : `Converting intro clip ${intro}...`);
       try {
-        await fs.rename(oldPath, newPath);
-      } catch {
-        // File might already be named correctly
+        await execFFmpeg(job.args, 'Converting intro clip');
+        await recordStep(manifest, 'intro', 'intro', job.fp, [job.output]);
+        ready = true;
+      } catch (error) {
+        recordWarning(intro, error, `Failed to convert intro clip ${intro}: ${error.message} - leaving it out`);
       }
     }
+    if (ready) {
+      before.push({ path: job.output, duration: probeDuration(job.output), chapter: 'Intro' });
+    }
+  } else {
+    await pruneStep(manifest, 'intro', []);
   }
-}
 
-// Step 7: Create final video
-async function createFinalVideo() {
-  console.log(`\n${colors.BLUE}Step 7: Creating final video...${colors.NC}`);
+  // Opening and end cards were rendered with the section title cards
+  for (const card of talkCards(await loadTalk())) {
+    const cardPath = path.join(GENERATED_DIR, 'title_cards', `${card.name}.mp4`);
+    if (!existsSync(cardPath)) continue;
+    const segment = { path: cardPath, duration: probeDuration(cardPath), chapter: plainCardText(card.title, config.titleCards.markup) };
+    (card.name === 'opening-card' ? before : after).push(segment);
+  }
 
-  // Create concatenation list
-  const concatFile = path.join(GENERATED_DIR, 'final_concat.txt');
-  let concatContent = '';
+  return { before, after };
+}
 
-  // Get all section numbers from title cards
-  const titleCardsDir = path.join(GENERATED_DIR, 'title_cards');
-  const titleCards = await fs.readdir(titleCardsDir);
-  const mp4TitleCards = titleCards.filter(f => f.match(/^\d{2}-title\.mp4$/)).sort();
+// Describe the conversion of the intro clip to the given frame size and the encode settings
+// of the sections, so the final concat can copy it. A clip of another size is scaled to fit.
+async function planIntroClip(config, manifest, introFile, width, height) {
+  const source = probeSource(introFile);
+  const output = path.join(GENERATED_DIR, 'converted_videos', 'intro.mp4');
+  const videoFilter = source.width !== width || source.height !== height
+    ? buildResizeFilter('scale', source, width, height)
+    : '';
+
+  const fp = fingerprint(await hashFile(manifest, introFile), videoFilter, source.hasAudio,
+    config.video.fps, config.video.crf, config.audio);
+  return {
+    key: introFile,
+    output,
+    videoFilter,
+    fp,
+    upToDate: isUpToDate(manifest, 'intro', 'intro', fp),
+    args: conversionArgs(config, introFile, source, videoFilter, output)
+  };
+}
 
-  for (const titleCard of mp4TitleCards) {
-    const sectionNum = titleCard.substring(0, 2);
-    const titleCardPath = path.join(titleCardsDir, titleCard);
-    const sectionVideoPath = path.join(GENERATED_DIR, 'converted_videos', `${sectionNum}-section.mp4`);
+// Describe the final assembly of title card and section pairs: the segment order, where
+// each section lands and the ffmpeg arguments, either a concat copy or a crossfade re-encode.
+// `extras` are the talk segments played before and after the sections.
+function planFinalVideo(config, pairs, extras = { before: [], after: [] }) {
+  const segmentPaths = [
+    ...extras.before.map(extra => extra.path),
+    ...pairs.flatMap(pair => [pair.titleCardPath, pair.sectionVideoPath]),
+    ...extras.after.map(extra => extra.path)
+  ];
+  const segmentDurations = [
+    ...extras.before.map(extra => extra.duration),
+    ...pairs.flatMap(pair => [pair.titleDuration, pair.sectionDuration]),
+    ...extras.after.map(extra => extra.duration)
+  ];
 
-    if (existsSync(sectionVideoPath)) {
-      concatContent += `file '${path.resolve(titleCardPath)}'\n`;
-      concatContent += `file '${path.resolve(sectionVideoPath)}'\n`;
-    }
+  let transition = parseTransition(config.video.transition);
+  if (transition && Math.min(...segmentDurations) <= transition.duration) {
+    logWarning('Transition is longer than the shortest segment - using hard cuts');
+    transition = null;
   }
 
-  if (!concatContent) {
-    console.error(`${colors.RED}Error: No videos to concatenate!${colors.NC}`);
-    process.exit(1);
+  // Track where each segment lands in the final video for subtitles and chapters
+  const overlap = transition ? transition.duration : 0;
+  const extraChapters = [];
+  let position = 0;
+  for (const extra of extras.before) {
+    extraChapters.push({ start: position, title: extra.chapter, path: extra.path });
+    position += extra.duration - overlap;
   }
+  const timeline = buildTimeline(pairs, overlap, position);
+  const last = timeline[timeline.length - 1];
+  position = last.sectionStart + last.sectionDuration - overlap;
+  for (const extra of extras.after) {
+    extraChapters.push({ start: position, title: extra.chapter, path: extra.path });
+    position += extra.duration - overlap;
+  }
+  const totalDuration = position + overlap;
 
-  await fs.writeFile(concatFile, concatContent);
+  const chaptersFile = path.join(GENERATED_DIR, 'chapters.txt');
+  const plan = { segmentPaths, transition, timeline, extraChapters, totalDuration, chaptersFile };
 
-  console.log('Merging all segments...');
-  try {
+  // Normalizing the finished video needs the assembled video as its input
+  if (config.loudness.normalize === 'final') {
+    plan.assembledFile = path.join(GENERATED_DIR, 'assembled.mp4');
+  }
+
+  let args;
+  if (transition) {
+    // Crossfades need a full re-encode through a filter graph
+    const chaptersInput = segmentPaths.length;
+    args = [
+      ...segmentPaths.flatMap(file => ['-i', file]),
+      '-i', chaptersFile,
+      '-filter_complex', buildTransitionFilter(segmentDurations, transition, config),
+      '-map', '[vout]',
+      '-map', '[aout]',
+      '-map_metadata', String(chaptersInput),
+      '-map_chapters', String(chaptersInput),
+      '-c:v', 'libx264',
+      '-pix_fmt', 'yuv420p',
+      '-r', String(config.video.fps),
+      '-crf', String(config.video.crf),
+      '-bf', '2',  // Maximum 2 B-frames
+      '-flags', '+cgop',  // Closed GOP
+      '-c:a', 'aac',
+      '-b:a', config.audio.bitrate,
+      '-ac', '2',  // Stereo
+      '-ar', String(config.audio.sampleRate),
+      '-movflags', 'faststart'
+    ];
+  } else {
     // Use copy codec for fast concatenation (all videos now have matching parameters)
-    await execFFmpeg([
+    plan.concatFile = path.join(GENERATED_DIR, 'final_concat.txt');
+    plan.concatContent = segmentPaths.map(file => `file '${path.resolve(file)}'\n`).join('');
+    args = [
       '-f', 'concat',
       '-safe', '0',
-      '-i', concatFile,
-      '-c', 'copy',
-      '-y',
-      'final_presentation.mp4'
-    ], 'Creating final video');
-
-    if (existsSync('final_presentation.mp4')) {
-      const duration = exec('ffprobe -v error -show_entries format=duration -of default=noprint_wrappers=1:nokey=1 final_presentation.mp4', true).trim();
-      const minutes = Math.round(parseFloat(duration) / 60);
-      console.log(`\n${colors.GREEN}✅ Success! Final video created:${colors.NC}`);
-      console.log('   Output: final_presentation.mp4');
-      console.log(`   Duration: approximately ${minutes} minutes`);
-    }
-  } catch {
-    console.log(`\n${colors.RED}❌ Error: Failed to create final video${colors.NC}`);
+      '-i', plan.concatFile,
+      '-i', chaptersFile,
+      '-map', '0',
+      '-map_metadata', '1',
+      '-map_chapters', '1',
+      '-c', 'copy'
+    ];
   }
+
+  plan.args = [...args, '-y', plan.assembledFile || config.output];
+  return plan;
 }
 
 // Preview title card function
-async function previewTitleCard(number, title, description) {
-  console.log(`${colors.BLUE}Generating title card preview...${colors.NC}`);
-  await generateTitleCard(number, title, description, 'preview_title_card.html', true);
+async function previewTitleCard(number, title, description, config) {
+  log(`${colors.BLUE}Generating title card preview...${colors.NC}`);
+  await generateTitleCard(number, title, description, 'preview_title_card.html', config, { preview: true });
+}
+
+// loudnorm filter for the configured target. With the stats of an analysis pass it
+// normalizes linearly, which keeps the dynamics the way they were recorded.
+function loudnormFilter(loudness, measured = null) {
+  let filter = `loudnorm=I=${loudness.target}:TP=${loudness.truePeak}:LRA=${loudness.range}`;
+  if (measured) {
+    filter += `:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}:measured_LRA=${measured.input_lra}` +
+      `:measured_thresh=${measured.input_thresh}:offset=${measured.target_offset}:linear=true`;
+  }
+  return filter;
+}
+
+// ffmpeg arguments for loudnorm's first pass, which only measures the audio
+function loudnormAnalyzeArgs(inputFile, loudness) {
+  return ['-hide_banner', '-nostats', '-i', inputFile, '-vn', '-af', `${loudnormFilter(loudness)}:print_format=json`, '-f', 'null', '-'];
+}
+
+// ffmpeg arguments for loudnorm's second pass. Video is copied; loudnorm works at 192 kHz
+// internally, so the audio is resampled to match the title cards.
+function loudnormApplyArgs(inputFile, outputFile, config, measured) {
+  return [
+    '-i', inputFile,
+    '-af', loudnormFilter(config.loudness, measured),
+    '-c:v', 'copy',
+    '-c:a', 'aac',
+    '-b:a', config.audio.bitrate,
+    '-ac', '2',  // Stereo
+    '-ar', String(config.audio.sampleRate),
+    '-movflags', 'faststart',
+    '-y',
+    outputFile
+  ];
 }
 
 // Analyze audio levels for loudnorm (first pass)
-async function analyzeLoudnorm(inputFile) {
+async function analyzeLoudnorm(inputFile, loudness) {
   try {
-    const result = exec(`ffmpeg -i "${inputFile}" -af loudnorm=I=-16:TP=-1.5:LRA=11:print_format=json -f null - 2>&1`, true);
-    const jsonMatch = result.match(/\{[\s\S]*\}/);
+    const { stderr } = await runCommand('ffmpeg', loudnormAnalyzeArgs(inputFile, loudness));
+    const jsonMatch = stderr.match(/\{[^{}]*"input_i"[^{}]*\}/);
     if (!jsonMatch) {
       throw new Error('Could not parse loudnorm analysis');
     }
     return JSON.parse(jsonMatch[0]);
   } catch (error) {
-    console.error(`${colors.YELLOW}Warning: Could not analyze audio levels${colors.NC}`);
+    logWarning(`Could not analyze audio levels of ${inputFile}`);
     return null;
   }
 }
 
+// The loudness figures of a loudnorm analysis, as numbers
+function summarizeLoudness(stats) {
+  return {
+    integrated: parseFloat(stats.input_i),
+    truePeak: parseFloat(stats.input_tp),
+    range: parseFloat(stats.input_lra)
+  };
+}
+
+// Format loudness figures for logs, e.g. "-23.1 LUFS, -4.2 dBTP, 6.3 LU"
+function formatLoudness(summary) {
+  return `${summary.integrated.toFixed(1)} LUFS, ${summary.truePeak.toFixed(1)} dBTP, ${summary.range.toFixed(1)} LU`;
+}
+
+// Normalize a file in two passes and measure the result. Returns the loudness before and after.
+async function normalizeLoudness(inputFile, outputFile, config, description) {
+  const measured = await analyzeLoudnorm(inputFile, config.loudness);
+  if (!measured) {
+    throw new Error(`Could not analyze audio levels of ${inputFile}`);
+  }
+
+  await execFFmpeg(loudnormApplyArgs(inputFile, outputFile, config, measured), description);
+
+  const verified = await analyzeLoudnorm(outputFile, config.loudness);
+  return {
+    before: summarizeLoudness(measured),
+    after: verified ? summarizeLoudness(verified) : null
+  };
+}
+
+// Describe the loudness normalization of each section video into generated/normalized
+async function planLoudnessNormalization(config, manifest, sectionPaths, planned) {
+  const normalizedDir = path.join(GENERATED_DIR, 'normalized');
+  const jobs = [];
+
+  for (const sectionPath of sectionPaths) {
+    const file = path.basename(sectionPath);
+    const output = path.join(normalizedDir, file);
+    const reportFile = path.join(normalizedDir, `${path.basename(file, '.mp4')}.loudness.json`);
+
+    const fp = fingerprint(await plannedFingerprint(manifest, planned, sectionPath), config.loudness,
+      config.audio.bitrate, config.audio.sampleRate);
+    planned.set(output, fp);
+    jobs.push({
+      key: file,
+      input: sectionPath,
+      output,
+      reportFile,
+      fp,
+      upToDate: isUpToDate(manifest, 'loudness', file, fp),
+      analyzeArgs: loudnormAnalyzeArgs(sectionPath, config.loudness)
+    });
+  }
+
+  return jobs;
+}
+
+// Normalize the loudness of every section on its own, so sections recorded at different
+// levels play back at the same volume. Pairs are switched to the normalized sections.
+async function normalizeSections(config, manifest, pairs) {
+  const { target, truePeak, range } = config.loudness;
+  log(`Normalizing section loudness to ${target} LUFS (true peak ${truePeak} dBTP, range ${range} LU)...`);
+  await fs.mkdir(path.join(GENERATED_DIR, 'normalized'), { recursive: true });
+
+  const jobs = await planLoudnessNormalization(config, manifest, pairs.map(pair => pair.sectionVideoPath), new Map());
+
+  const results = await runPool(jobs, config.jobs, async (job) => {
+    if (job.upToDate) {
+      log(`${colors.GREEN}✓ Up to date: ${job.output}${colors.NC}`);
+      return JSON.parse(await fs.readFile(job.reportFile, 'utf8'));
+    }
+
+    try {
+      const levels = await normalizeLoudness(job.input, job.output, config, `Normalizing ${path.basename(job.key, '.mp4')}`);
+      const entry = { file: job.key, ...levels };
+      await fs.writeFile(job.reportFile, JSON.stringify(entry, null, 2));
+      await recordStep(manifest, 'loudness', job.key, job.fp, [job.output, job.reportFile]);
+      log(`${colors.GREEN}✓ Normalized: ${job.key}${colors.NC}`);
+      return entry;
+    } catch (error) {
+      recordWarning(job.key, error, `Failed to normalize ${job.key}: ${error.message} - using it as recorded`);
+      return null;
+    }
+  });
+
+  await pruneStep(manifest, 'loudness', jobs.map(job => job.key));
+
+  jobs.forEach((job, index) => {
+    if (results[index]) {
+      pairs[index].sectionVideoPath = job.output;
+    }
+  });
+  await writeLoudnessReport(config, results.filter(Boolean));
+}
+
+// Normalize the assembled video into the output file
+async function normalizeFinalVideo(config, assembledFile) {
+  const { target, truePeak, range } = config.loudness;
+  log(`Normalizing loudness to ${target} LUFS (true peak ${truePeak} dBTP, range ${range} LU)...`);
+
+  try {
+    const levels = await normalizeLoudness(assembledFile, config.output, config, 'Normalizing loudness');
+    await fs.unlink(assembledFile);
+    await writeLoudnessReport(config, [{ file: config.output, ...levels }]);
+  } catch (error) {
+    logError(`${colors.RED}✗ ${error.message}${colors.NC}`);
+    throw error;
+  }
+}
+
+// Print the loudness before and after normalization and write it to generated/loudness_report.json
+async function writeLoudnessReport(config, entries) {
+  const reportPath = path.join(GENERATED_DIR, 'loudness_report.json');
+  const { normalize, target, truePeak, range } = config.loudness;
+  const report = { normalize, target: { integrated: target, truePeak, range }, files: entries };
+  await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
+
+  log(`${colors.GREEN}Loudness (before -> after):${colors.NC}`);
+  for (const entry of entries) {
+    const after = entry.after ? formatLoudness(entry.after) : 'not measured';
+    log(`  ${entry.file}: ${formatLoudness(entry.before)} -> ${after}`);
+  }
+  log(`  Report: ${reportPath}`);
+}
+
 // Standalone audio leveling function
-async function levelAudioStandalone(inputFile, targetLoudness = -16) {
-  console.log(`${colors.BLUE}=== Audio Leveling Tool ===${colors.NC}`);
-  console.log(`Input: ${inputFile}`);
-  console.log(`Target: ${targetLoudness} LUFS`);
+async function levelAudioStandalone(inputFile, config) {
+  const { target, truePeak, range } = config.loudness;
+  log(`${colors.BLUE}=== Audio Leveling Tool ===${colors.NC}`);
+  log(`Input: ${inputFile}`);
+  log(`Target: ${target} LUFS (true peak ${truePeak} dBTP, range ${range} LU)`);
 
   // Check if input file exists
   if (!existsSync(inputFile)) {
-    console.error(`${colors.RED}Error: Input file not found: ${inputFile}${colors.NC}`);
-    process.exit(1);
+    throw new Error(`Input file not found: ${inputFile}`);
   }
 
   // Generate temporary filename
@@ -1107,47 +4721,37 @@ async function levelAudioStandalone(inputFile, targetLoudness = -16) {
 
   try {
     // First pass - analyze
-    console.log(`\n${colors.BLUE}Analyzing audio levels...${colors.NC}`);
-    const loudnormStats = await analyzeLoudnorm(inputFile);
+    log(`\n${colors.BLUE}Analyzing audio levels...${colors.NC}`);
+    const loudnormStats = await analyzeLoudnorm(inputFile, config.loudness);
 
     if (!loudnormStats) {
       throw new Error('Failed to analyze audio levels');
     }
 
-    console.log(`${colors.GREEN}Current audio levels:${colors.NC}`);
-    console.log(`  Integrated Loudness: ${loudnormStats.input_i} LUFS`);
-    console.log(`  True Peak: ${loudnormStats.input_tp} dB`);
-    console.log(`  Loudness Range: ${loudnormStats.input_lra} LU`);
+    log(`${colors.GREEN}Current audio levels:${colors.NC}`);
+    log(`  Integrated Loudness: ${loudnormStats.input_i} LUFS`);
+    log(`  True Peak: ${loudnormStats.input_tp} dB`);
+    log(`  Loudness Range: ${loudnormStats.input_lra} LU`);
 
     // Second pass - apply normalization
-    console.log(`\n${colors.BLUE}Applying audio leveling...${colors.NC}`);
+    log(`\n${colors.BLUE}Applying audio leveling...${colors.NC}`);
 
-    const filterComplex = `loudnorm=I=${targetLoudness}:TP=-1.5:LRA=11:measured_I=${loudnormStats.input_i}:measured_LRA=${loudnormStats.input_lra}:measured_TP=${loudnormStats.input_tp}:measured_thresh=${loudnormStats.input_thresh}:offset=${loudnormStats.target_offset}:linear=true:print_format=summary`;
-
-    await execFFmpeg([
-      '-i', inputFile,
-      '-af', filterComplex,
-      '-c:v', 'copy',
-      '-c:a', 'aac',
-      '-b:a', '192k',
-      '-y',
-      tempFile
-    ], 'Leveling audio');
+    await execFFmpeg(loudnormApplyArgs(inputFile, tempFile, config, loudnormStats), 'Leveling audio');
 
     // Replace original with leveled version
     await fs.unlink(inputFile);
     await fs.rename(tempFile, inputFile);
 
-    console.log(`\n${colors.GREEN}✓ Audio leveling complete!${colors.NC}`);
-    console.log(`   File updated in place: ${inputFile}`);
+    log(`\n${colors.GREEN}✓ Audio leveling complete!${colors.NC}`);
+    log(`   File updated in place: ${inputFile}`);
 
     // Verify the output
-    console.log(`\n${colors.BLUE}Verifying output levels...${colors.NC}`);
-    const verifyStats = await analyzeLoudnorm(inputFile);
+    log(`\n${colors.BLUE}Verifying output levels...${colors.NC}`);
+    const verifyStats = await analyzeLoudnorm(inputFile, config.loudness);
     if (verifyStats) {
-      console.log(`${colors.GREEN}New audio levels:${colors.NC}`);
-      console.log(`  Integrated Loudness: ${verifyStats.input_i} LUFS`);
-      console.log(`  True Peak: ${verifyStats.input_tp} dB`);
+      log(`${colors.GREEN}New audio levels:${colors.NC}`);
+      log(`  Integrated Loudness: ${verifyStats.input_i} LUFS`);
+      log(`  True Peak: ${verifyStats.input_tp} dB`);
     }
 
   } catch (error) {
@@ -1155,11 +4759,461 @@ async function levelAudioStandalone(inputFile, targetLoudness = -16) {
     if (existsSync(tempFile)) {
       await fs.unlink(tempFile);
     }
-    console.error(`${colors.RED}Error: ${error.message}${colors.NC}`);
-    process.exit(1);
+    throw error;
+  }
+}
+
+// Print the whole build without running it: the jobs of every step and the exact
+// commands they would run. Jobs whose inputs and settings are unchanged are marked up to date.
+async function printBuildPlan(config, manifest) {
+  const planned = new Map();
+  const show = (command, args) => log(`    $ ${formatCommand(command, args)}`);
+  const status = job => job.upToDate ? ` ${colors.GREEN}(up to date)${colors.NC}` : '';
+  const convertedDir = path.join(GENERATED_DIR, 'converted_videos');
+  // loudnorm's second pass uses the values its first pass measures
+  const measuredPlaceholder = {
+    input_i: 'MEASURED_I', input_tp: 'MEASURED_TP', input_lra: 'MEASURED_LRA',
+    input_thresh: 'MEASURED_THRESH', target_offset: 'OFFSET'
+  };
+
+  log(`${colors.BLUE}=== maketalk build plan ===${colors.NC}`);
+  const sourceFiles = (await checkSources(config)).sort();
+
+  // Step 1: sources, resize decisions and conversions
+  log(`\n${colors.BLUE}Step 1: Convert source videos to MP4${colors.NC}`);
+  for (const file of sourceFiles) {
+    show('ffprobe', probeSourceArgs(file));
+  }
+  const videoDimensions = probeSources(sourceFiles);
+  const target = findTargetDimension(config, videoDimensions);
+  let dimensionStrategy = null;
+  if (target.mismatched) {
+    dimensionStrategy = config.video.dimensionStrategy;
+    if (dimensionStrategy === 'fail') {
+      log(`  ${colors.RED}Sources don't all match ${target.dimensions} - the build would stop (--dimension-strategy=fail)${colors.NC}`);
+      return;
+    }
+    if (dimensionStrategy === 'ask') {
+      log(`  ${colors.YELLOW}Sources don't all match ${target.dimensions} - maketalk would ask how to resize them, showing pad${colors.NC}`);
+      dimensionStrategy = 'pad';
+    } else {
+      log(`  Sources that don't match ${target.dimensions} are resized with strategy ${dimensionStrategy}`);
+    }
+  } else if (target.dimensions) {
+    log(`  All sources are ${target.dimensions}`);
+  }
+
+  const conversions = await planConversions(config, manifest, sourceFiles, videoDimensions,
+    target.mismatched ? target : null, dimensionStrategy, planned);
+  for (const job of conversions) {
+    if (job.error) {
+      log(`  ${colors.RED}${job.key}: ${job.error}${colors.NC}`);
+      continue;
+    }
+    log(`  ${job.key} -> ${job.output}${status(job)}`);
+    if (job.upToDate) continue;
+    if (job.resizeMode) log(`    ${describeResize(job)}`);
+    if (!job.source.hasAudio) log('    No audio - adding silence');
+    show('ffmpeg', job.args);
+  }
+
+  // Step 2: merge groups
+  log(`\n${colors.BLUE}Step 2: Merge multi-part sections${colors.NC}`);
+  const converted = conversions.filter(job => !job.error).map(job => path.basename(job.output));
+  const merges = await planMerges(manifest, converted, planned);
+  for (const job of merges) {
+    const how = job.args ? '' : ' (hard link)';
+    log(`  Section ${job.key}: ${job.parts.join(' + ')} -> ${job.output}${how}${status(job)}`);
+    if (job.upToDate || !job.args) continue;
+    log(`    ${job.concatFile}:`);
+    for (const line of job.concatContent.trimEnd().split('\n')) {
+      log(`      ${line}`);
+    }
+    show('ffmpeg', job.args);
+  }
+
+  // Step 2b: trimming. What is cut is only known once the detection has run.
+  const sectionJobs = new Map(merges.map(job => [job.key, job]));
+  if (config.trim.mode !== 'off') {
+    log(`\n${colors.BLUE}Step 2b: Trim dead air (${config.trim.mode}, ${config.trim.padding}s padding)${colors.NC}`);
+    const trims = await planTrims(config, manifest, merges.map(job => job.output), planned);
+    for (const job of trims) {
+      sectionJobs.set(job.key, job);
+      const how = job.override === false ? ' (kept whole)' : job.override ? ` (override ${JSON.stringify(job.override)})` : '';
+      log(`  ${job.input} -> ${job.output}${how}${status(job)}`);
+      if (job.upToDate || job.override === false) continue;
+      if (job.detect) {
+        show('ffmpeg', deadAirDetectArgs(job.input, config.trim));
+        log('    then with the detected range:');
+      }
+      const start = job.override && job.override.start !== undefined ? job.override.start : 'START';
+      const length = job.override && job.override.start !== undefined && job.override.end !== undefined
+        ? round3(job.override.end - job.override.start) : 'LENGTH';
+      show('ffmpeg', trimArgs(job.input, start, length, job.output, config));
+    }
+  }
+
+  // Step 2c: jump cuts. The pauses are only known once silencedetect has run.
+  if (config.jumpCuts.mode !== 'off') {
+    const { mode, minPause, keepPause } = config.jumpCuts;
+    log(`\n${colors.BLUE}Step 2c: Shorten pauses over ${minPause}s to ${keepPause}s (${mode})${colors.NC}`);
+    const jumpCuts = await planJumpCuts(config, manifest, Array.from(sectionJobs.values()).map(job => job.output), planned);
+    for (const job of jumpCuts) {
+      sectionJobs.set(job.key, job);
+      log(`  ${job.input} -> ${job.output}${status(job)}`);
+      if (job.upToDate) continue;
+      show('ffmpeg', job.detectArgs);
+      log('    then with the segments between the pauses:');
+      show('ffmpeg', jumpCutArgs(job.input, 'JUMP_CUT_FILTER', job.output, config));
+    }
+  }
+
+  // Steps 3 and 4: audio extraction and transcription
+  const transcriber = resolveTranscriber(config);
+  if (transcriber.name) {
+    log(`\n${colors.BLUE}Step 3: Extract audio${colors.NC}`);
+    const extractions = await planAudioExtraction(manifest, sectionsDir(config), merges.map(job => path.basename(job.output)), planned);
+    for (const job of extractions) {
+      log(`  ${job.input} -> ${job.output}${status(job)}`);
+      if (!job.upToDate) show('ffmpeg', job.args);
+    }
+
+    log(`\n${colors.BLUE}Step 4: Transcribe with ${transcriber.name}${colors.NC}`);
+    const transcriptions = await planTranscriptions(config, manifest, transcriber.name,
+      extractions.map(job => path.basename(job.output)), planned);
+    for (const job of transcriptions) {
+      log(`  ${job.input} -> ${job.transcriptionPath}, ${job.segmentsPath}${status(job)}`);
+      if (job.upToDate) continue;
+      if (transcriber.name === 'yakety') {
+        // The speech chunks are only known once silencedetect has run
+        const [detect, ...perChunk] = job.commands;
+        show(...detect);
+        log('    then for each speech chunk between silences:');
+        perChunk.forEach(command => show(...command));
+      } else if (transcriber.name === 'existing') {
+        log(job.sources.length > 0 ? `    reads ${job.sources[0]}` : `    ${colors.RED}no transcript in ${config.transcription.dir}${colors.NC}`);
+      } else {
+        job.commands.forEach(command => show(...command));
+      }
+    }
+  } else {
+    log(`\n${colors.YELLOW}Steps 3-4: Skipped (no transcription backend: ${transcriber.reason})${colors.NC}`);
+  }
+
+  // Step 5: titles
+  log(`\n${colors.BLUE}Step 5: Title cards text${colors.NC}`);
+  const hasTitleCards = existsSync('title_cards.json');
+  let cards;
+  if (hasTitleCards) {
+    log('  title_cards.json exists and is used if you confirm it (or pass --reuse-titles)');
+    const titleCardsData = await readTitleCards();
+    cards = [...titleCardsData.title_cards, ...talkCards(titleCardsData.talk)];
+  } else {
+    const file = transcriber.name ? `${GENERATED_DIR}/claude_prompt.txt` : 'a title_cards.json template';
+    if (transcriber.name && config.titles.llm) {
+      log(`  No title_cards.json - maketalk would send ${file} to ${config.titles.llm} and write it`);
+    } else {
+      log(`  ${colors.YELLOW}No title_cards.json - maketalk would write ${file} and stop until it exists${colors.NC}`);
+    }
+    log('  The steps below assume one title card per section');
+    cards = merges.map(job => ({ number: job.key, title: `Section ${job.key}`, description: '' }));
+  }
+
+  // Step 6: title card rendering
+  log(`\n${colors.BLUE}Step 6: Render title cards${colors.NC}`);
+  const chromeCmd = findChrome() || 'google-chrome';
+  const cardConfig = await withSectionFrameSize(config, target.dimensions ? target : null);
+  const { width, height } = cardConfig.titleCards;
+  const titleCards = await planTitleCards(cardConfig, manifest, cards);
+  for (const job of titleCards) {
+    const name = job.card.name ? job.card.name.replace('-', ' ') : `Section ${job.card.number}`;
+    log(`  ${name}: ${JSON.stringify(job.card.title)} -> ${job.output}${status(job)}`);
+    if (job.upToDate) continue;
+    for (const render of job.renders) {
+      show(chromeCmd, chromeScreenshotArgs('title_card_NNN.html', render.output, width, height, render.layer));
+    }
+    show('ffmpeg', job.args);
+  }
+
+  // Step 6b: thumbnail
+  if (config.thumbnail.output) {
+    log(`\n${colors.BLUE}Step 6b: Create thumbnail${colors.NC}`);
+    const job = await planThumbnail(config, manifest, hasTitleCards ? await loadTalk() : null, planned);
+    if (job) {
+      const frame = job.framePath ? `, over ${job.framePath} at ${job.time}s` : '';
+      log(`  ${JSON.stringify(job.card.title)}${frame} -> ${job.output}${status(job)}`);
+      if (!job.upToDate) {
+        for (const render of job.renders) {
+          show(chromeCmd, chromeScreenshotArgs('title_card_NNN.html', render.output, job.width, job.height, render.layer));
+        }
+        show('ffmpeg', thumbnailArgs(job, THUMBNAIL_QUALITIES[0]));
+        log(`    again with a higher -q:v while the JPEG is over ${THUMBNAIL_MAX_BYTES / 1024 / 1024} MB`);
+      }
+    }
+  }
+
+  // Step 7: final assembly. Sections that don't exist yet are estimated from their sources.
+  log(`\n${colors.BLUE}Step 7: Create final video${colors.NC}`);
+  const cardNumbers = new Set(titleCards.map(job => job.card.number));
+  const pairs = [];
+  let estimated = false;
+  for (const job of merges.filter(merge => cardNumbers.has(merge.key))) {
+    const section = sectionJobs.get(job.key);
+    let sectionDuration;
+    if (section.upToDate) {
+      sectionDuration = probeDuration(section.output);
+    } else {
+      const sources = conversions.filter(conversion => job.parts.includes(path.basename(conversion.output)));
+      sectionDuration = sources.reduce((sum, conversion) => sum + probeDuration(conversion.key), 0);
+      estimated = true;
+    }
+    pairs.push({
+      sectionNum: job.key,
+      titleCardPath: path.join(GENERATED_DIR, 'title_cards', `${job.key}-title.mp4`),
+      sectionVideoPath: section.output,
+      titleDuration: config.titleCards.duration,
+      sectionDuration
+    });
+  }
+
+  if (pairs.length === 0) {
+    log(`  ${colors.RED}No videos to concatenate${colors.NC}`);
+    return;
+  }
+
+  if (overlaysEnabled(config)) {
+    log('  Add overlays:');
+    const lowerThirds = resolveLowerThirds(config, hasTitleCards ? await loadTalk() : null);
+    const overlays = await planOverlays(config, manifest, pairs.map(pair => pair.sectionVideoPath), lowerThirds, planned);
+    overlays.forEach((job, index) => {
+      const how = job.args ? '' : ' (hard link, nothing to add)';
+      log(`    ${job.input} -> ${job.output}${how}${status(job)}`);
+      pairs[index].sectionVideoPath = job.output;
+      if (job.upToDate || !job.args) return;
+      if (job.lowerThird) {
+        log(`    Lower third ${JSON.stringify(job.lowerThird.title)} from ${job.lowerThird.start}s for ${job.lowerThird.duration}s:`);
+        show(chromeCmd, chromeScreenshotArgs('lower_third_NNN.html', job.lowerThirdImage, target.width, target.height, 'text'));
+      }
+      show('ffmpeg', job.args);
+    });
+  }
+
+  if (config.loudness.normalize === 'sections') {
+    const { target, truePeak, range } = config.loudness;
+    log(`  Normalize section loudness to ${target} LUFS (true peak ${truePeak} dBTP, range ${range} LU):`);
+    const normalizations = await planLoudnessNormalization(config, manifest, pairs.map(pair => pair.sectionVideoPath), planned);
+    normalizations.forEach((job, index) => {
+      log(`    ${job.input} -> ${job.output}${status(job)}`);
+      pairs[index].sectionVideoPath = job.output;
+      if (job.upToDate) return;
+      show('ffmpeg', job.analyzeArgs);
+      log('    then with the measured values:');
+      show('ffmpeg', loudnormApplyArgs(job.input, job.output, config, measuredPlaceholder));
+    });
+  }
+
+  // Intro clip, opening and end cards around the sections
+  const extras = { before: [], after: [] };
+  const intro = findIntroClip(config, await fs.readdir('.'));
+  if (intro) {
+    show('ffprobe', probeSourceArgs(intro));
+    const job = await planIntroClip(config, manifest, intro, target.width, target.height);
+    log(`  Intro clip: ${intro} -> ${job.output}${job.videoFilter ? ` (scaled to ${target.dimensions})` : ''}${status(job)}`);
+    if (!job.upToDate) show('ffmpeg', job.args);
+    extras.before.push({ path: job.output, duration: probeDuration(intro), chapter: 'Intro' });
+  }
+  for (const job of titleCards.filter(card => card.card.name)) {
+    const segment = { path: job.output, duration: config.titleCards.duration, chapter: plainCardText(job.card.title, config.titleCards.markup) };
+    (job.card.name === 'opening-card' ? extras.before : extras.after).push(segment);
+  }
+
+  const final = planFinalVideo(config, pairs, extras);
+  log(`  Order${estimated ? ' (section times estimated from their sources)' : ''}:`);
+  const order = [
+    ...final.extraChapters.map(chapter => [chapter.start, chapter.path]),
+    ...final.timeline.flatMap(entry => [[entry.titleStart, entry.titleCardPath], [entry.sectionStart, entry.sectionVideoPath]])
+  ].sort((a, b) => a[0] - b[0]);
+  for (const [start, file] of order) {
+    log(`    ${formatSubtitleTime(start, '.')}  ${file}`);
+  }
+  for (const file of final.segmentPaths) {
+    show('ffprobe', probeDurationArgs(file));
+  }
+  if (final.concatFile) {
+    log(`    ${final.concatFile}:`);
+    for (const line of final.concatContent.trimEnd().split('\n')) {
+      log(`      ${line}`);
+    }
+  }
+  show('ffmpeg', final.args);
+  if (final.assembledFile) {
+    const { target, truePeak, range } = config.loudness;
+    log(`  Normalize loudness to ${target} LUFS (true peak ${truePeak} dBTP, range ${range} LU):`);
+    show('ffmpeg', loudnormAnalyzeArgs(final.assembledFile, config.loudness));
+    log('    then with the measured values:');
+    show('ffmpeg', loudnormApplyArgs(final.assembledFile, config.output, config, measuredPlaceholder));
+  }
+  const chapterCount = final.timeline.length + final.extraChapters.length;
+  log(`  -> ${config.output} (about ${Math.round(final.totalDuration / 60)} minutes, ${chapterCount} chapters, .srt and .vtt subtitles)`);
+}
+
+// Run the build from the given step: 'convert' for a full build, 'merge' to resume after
+// conversion or 'titleCards' once title_cards.json exists. Returns { status: 'complete',
+// output, duration, chapters }, or { status: 'needsTitles' } with the claude-danger prompt
+// or the title_cards.json template to fill in first.
+async function runBuild(config, manifest, interaction, from = 'convert') {
+  const transcriber = checkDependencies(config);
+
+  if (from !== 'titleCards') {
+    if (from === 'convert') {
+      await checkSources(config);  // Check source file naming before starting
+      await convertVideos(config, manifest, interaction);  // Step 1: Convert with dimension fix
+    }
+    await mergeMultipartSections(config, manifest);  // Step 2: Merge multi-part sections
+    await trimSections(config, manifest);  // Step 2b: Trim dead air
+    await jumpCutSections(config, manifest);  // Step 2c: Shorten long pauses
+
+    if (!transcriber) {
+      // No transcription backend - generate template
+      await generateTemplateForManualEdit();
+      return { status: 'needsTitles', template: 'title_cards.json' };
+    }
+
+    await extractAudio(config, manifest);  // Step 3: Extract audio from merged sections only
+    await transcribeAudio(transcriber, config, manifest);  // Step 4: Transcribe
+    const skipPrompt = await generateClaudePrompt(config, interaction);  // Step 5: Generate prompt
+    if (skipPrompt !== true) {
+      return { status: 'needsTitles', prompt: path.join(GENERATED_DIR, 'claude_prompt.txt') };
+    }
+  }
+
+  await generateTitleCards(config, manifest);  // Step 6: Render title cards
+  await createThumbnail(config, manifest);  // Step 6b: Render the thumbnail
+
+  // Never assemble a final video with sections or cards missing
+  if (missingAssemblyInputs()) {
+    throw failuresError(' - not creating the final video');
+  }
+  const video = await createFinalVideo(config, manifest);  // Step 7: Assemble
+  return { status: 'complete', ...video };
+}
+
+// Whether a library call is running; the steps work in the current directory, so only one can
+let projectBusy = false;
+
+// Run a library call in a project directory. options:
+//   cwd          project directory (default: the current directory)
+//   config       settings in the maketalk.config.json format, over the project's config file
+//   configFile   config file to read instead of maketalk.config.json
+//   force        redo steps even if their inputs are unchanged
+//   interactive  ask questions on stdin instead of throwing (default: false)
+//   yes, reuseTitles  answers to those questions, like --yes and --reuse-titles
+//   onEvent      called with every event, as printed by --json (see printEventsAsJSON)
+async function withProject(options, run) {
+  if (projectBusy) {
+    throw new Error('maketalk can only run one build at a time in a process');
+  }
+  projectBusy = true;
+
+  const previousDir = process.cwd();
+  const listener = event => options.onEvent(event.message === undefined ? event : { ...event, message: stripColors(event.message) });
+  if (options.onEvent) {
+    events.on('event', listener);
+  }
+  resetSteps();
+
+  try {
+    if (options.cwd) process.chdir(options.cwd);
+    const config = await loadConfig(options.configFile ? ['--config', options.configFile] : [], options.config || null);
+    await initGeneratedDir();
+    const manifest = await loadManifest(Boolean(options.force));
+    const interaction = {
+      nonInteractive: !options.interactive,
+      assumeYes: Boolean(options.yes),
+      reuseTitles: options.reuseTitles === undefined ? null : Boolean(options.reuseTitles)
+    };
+    const result = await run(config, manifest, interaction);
+    endStep();
+    if (failures.length > 0) {
+      throw failuresError();
+    }
+    return result;
+  } catch (error) {
+    endStep('failed');
+    throw error;
+  } finally {
+    process.chdir(previousDir);
+    events.removeListener('event', listener);
+    projectBusy = false;
   }
 }
 
+// Remove terminal colors from a message
+function stripColors(message) {
+  return String(message).replace(/\x1b\[[0-9;]*m/g, '');
+}
+
+// Library API: the steps of the pipeline, each taking the options of withProject
+
+// Step 1: convert the source videos to MP4
+function convert(options = {}) {
+  return withProject(options, async (config, manifest, interaction) => {
+    await checkSources(config);
+    await convertVideos(config, manifest, interaction);
+  });
+}
+
+// Step 2: merge multi-part sections, then trim and jump cut them as configured
+function merge(options = {}) {
+  return withProject(options, async (config, manifest) => {
+    await mergeMultipartSections(config, manifest);
+    await trimSections(config, manifest);
+    await jumpCutSections(config, manifest);
+  });
+}
+
+// Steps 3 and 4: extract the sections' audio and transcribe it
+function transcribe(options = {}) {
+  return withProject(options, async (config, manifest) => {
+    const transcriber = resolveTranscriber(config);
+    if (!transcriber.name) {
+      throw new Error(`No transcription backend: ${transcriber.reason}`);
+    }
+    await extractAudio(config, manifest);
+    await transcribeAudio(transcriber.name, config, manifest);
+  });
+}
+
+// Step 6: render the title cards from title_cards.json, and the thumbnail if configured
+function renderTitleCards(options = {}) {
+  return withProject(options, async (config, manifest) => {
+    await generateTitleCards(config, manifest);
+    await createThumbnail(config, manifest);
+  });
+}
+
+// Step 7: assemble the final video. Resolves to { output, duration, chapters }.
+function assemble(options = {}) {
+  return withProject(options, (config, manifest) => createFinalVideo(config, manifest));
+}
+
+// Run the whole pipeline like the maketalk command. Resolves to the result of runBuild.
+function build(options = {}) {
+  return withProject(options, async (config, manifest, interaction) => {
+    let result;
+    try {
+      result = await runBuild(config, manifest, interaction);
+    } catch (error) {
+      endStep('failed');
+      reportSummary(config, { status: 'failed' });
+      throw error;
+    }
+    endStep();
+    reportSummary(config, result);
+    return result;
+  });
+}
+
 // Main function
 async function main() {
   const args = process.argv.slice(2);
@@ -1173,29 +5227,101 @@ async function main() {
     console.log('  maketalk --level-audio <file>');
     console.log('\nOptions:');
     console.log('  --continue                Continue from claude-danger step');
-    console.log('  --resume-after-conversion Resume after MOV to MP4 conversion');
+    console.log('  --resume-after-conversion Resume after converting source videos to MP4');
+    console.log('  --force                   Redo every step, even if its inputs are unchanged');
+    console.log('  --plan                    Print every step and command of the build without running it');
+    console.log('  --log-format <format>     Output: text or ndjson, one JSON event per line (default: text)');
+    console.log('  --json                    Same as --log-format ndjson');
     console.log('  --level-audio <file>      Level audio of a single file (standalone operation)');
     console.log('  --preview                 Preview a title card');
+    console.log('  --non-interactive         Never read stdin; exit with code 2 if a decision is missing');
+    console.log('  --yes                     Non-interactive, answering prompts with their defaults');
+    console.log('  --reuse-titles            Keep an existing title_cards.json without asking');
+    console.log('  --no-reuse-titles         Regenerate the title card prompt without asking');
+    console.log(`  --config <file>           Use a config file other than ${CONFIG_FILE}`);
+    console.log('  --fps <n>                 Output frame rate (default: 30)');
+    console.log('  --crf <n>                 x264 quality, 0-51 (default: 18)');
+    console.log('  --transition <type[:s]>   Crossfade between segments, e.g. fade:0.5 (default: none)');
+    console.log('  --resolution <WxH>        Output resolution, also used for title cards (default: auto)');
+    console.log('  --dimension-strategy <s>  Mismatched source sizes: ask, pad, scale, crop, fail (default: ask)');
+    console.log('  --audio-bitrate <rate>    AAC bitrate (default: 192k)');
+    console.log('  --sample-rate <hz>        Audio sample rate (default: 48000)');
+    console.log('  --title-duration <secs>   Title card duration (default: 5)');
+    console.log('  --title-width <px>        Width of --preview title cards; builds use the sections\' size (default: 3456)');
+    console.log('  --title-height <px>       Height of --preview title cards (default: 2234)');
+    console.log('  --theme <name|dir>        Title card theme: classic, dark, minimal or a theme directory');
+    console.log('  --title-animation <mode>  Title card animation: none, fade, slide (default: none)');
+    console.log('  --title-markup <mode>     Title card text markup: none, basic (**bold**, *em*) (default: none)');
+    console.log('  --title-min-scale <n>     Warn when title card text shrinks below this fraction to fit (default: 0.5)');
+    console.log('  --transcriber <name>      Transcription: auto, yakety, whisper, command, existing, none (default: auto)');
+    console.log('  --yakety <path>           Yakety transcribe binary (default: $YAKD_TRANSCRIBE_PATH)');
+    console.log('  --whisper <path>          whisper.cpp binary (default: whisper-cli)');
+    console.log('  --whisper-model <file>    whisper.cpp model file');
+    console.log('  --language <code>         Spoken language for whisper.cpp, or auto (default: en)');
+    console.log('  --transcribe-command <c>  Shell command writing a transcript of {input} to {output}');
+    console.log('  --transcripts <dir>       Directory of existing transcripts (default: transcripts)');
+    console.log('  --titles-llm <url>        OpenAI-compatible API that writes title_cards.json, e.g. http://localhost:8080/v1');
+    console.log('  --titles-model <name>     Model name sent to the titles API');
+    console.log('  --titles-retries <n>      Extra attempts when the titles request fails or its reply is invalid (default: 2)');
+    console.log('  --trim <mode>             Trim dead air at section starts and ends: off, silence, silence+freeze (default: off)');
+    console.log('  --trim-padding <secs>     Time kept around the trimmed speech (default: 0.5)');
+    console.log('  --trim-noise <level>      Audio below this level is silence (default: -35dB)');
+    console.log('  --trim-min-duration <s>   Shortest dead air that is trimmed (default: 1)');
+    console.log('  --jump-cuts <mode>        Shorten long pauses inside sections: off, gentle, normal, aggressive (default: off)');
+    console.log('  --min-pause <secs>        Pauses longer than this are shortened (default: 1.5)');
+    console.log('  --keep-pause <secs>       What is left of a shortened pause (default: 0.4)');
+    console.log('  --logo <file.png>         Logo composited onto every section');
+    console.log('  --logo-position <corner>  top-left, top-right, bottom-left, bottom-right (default: top-right)');
+    console.log('  --logo-opacity <0-1>      Opacity of the logo (default: 0.8)');
+    console.log('  --logo-margin <px>        Distance of the logo from the edges (default: 40)');
+    console.log('  --thumbnail <file.jpg>    Also render a 1280x720 thumbnail of the talk title');
+    console.log('  --thumbnail-section <nn>  Section to grab the thumbnail background from');
+    console.log('  --thumbnail-time <secs>   Time of that frame in the section (default: 0)');
+    console.log('  --loudness <mode>         Normalize loudness: off, sections, final (default: off)');
+    console.log('  --loudness-target <lufs>  Integrated loudness target (default: -16)');
+    console.log('  --true-peak <dbtp>        Maximum true peak (default: -1.5)');
+    console.log('  --loudness-range <lu>     Loudness range target (default: 11)');
+    console.log('  --output <file>           Final video file (default: final_presentation.mp4)');
+    console.log('  --jobs <n>                Files to process in parallel (default: number of CPUs)');
+    console.log('  --on-failure <mode>       When a file fails: keep-going or fail-fast (default: keep-going)');
+    console.log('  --fail-fast               Stop at the first file that fails');
+    console.log('  --keep-going              Finish the other files, then exit with code 1');
+    console.log('  --intro <file>            Clip played before everything else (default: a 00-intro video)');
+    console.log('  --extensions <list>       Source video extensions (default: mov,mp4,mkv,webm,m4v)');
     console.log('  --help, -h                Show this help');
     console.log('\nExamples:');
     console.log('  maketalk                                    # Create video presentation');
     console.log('  maketalk --resume-after-conversion          # Resume after conversion step');
     console.log('  maketalk --level-audio final.mp4            # Level audio of a file');
     console.log('  maketalk --continue                         # Continue after title generation');
+    console.log('  maketalk --plan                             # Show what a build would run');
+    console.log('  maketalk --json --yes > build.ndjson        # Record the build as JSON events');
     console.log('  maketalk --preview 01 "Title" "Description" # Preview a title card');
     process.exit(0);
   }
 
+  // Print what the build steps report, as text or as one JSON object per line
+  const logFormat = args.includes('--json') ? 'ndjson' : getArgValue(args, '--log-format') || 'text';
+  if (!LOG_FORMATS.includes(logFormat)) {
+    throw new Error(`--log-format must be one of ${LOG_FORMATS.join(', ')}`);
+  }
+  if (logFormat === 'ndjson') {
+    printEventsAsJSON(process.stdout);
+  } else {
+    printEvents(process.stdout);
+  }
+
+  // Load maketalk.config.json and CLI overrides
+  const config = await loadConfig(args);
+
   // Handle preview mode
   if (args.includes('--preview')) {
     const previewIndex = args.indexOf('--preview');
     if (args.length < previewIndex + 4) {
-      console.log('Usage: maketalk --preview <number> <title> <description>');
-      console.log('Example: maketalk --preview 01 "Claude Code" "The Future of Programming"');
-      process.exit(1);
+      throw new Error('Usage: maketalk --preview <number> <title> <description>, e.g. maketalk --preview 01 "Claude Code" "The Future of Programming"');
     }
 
-    await previewTitleCard(args[previewIndex + 1], args[previewIndex + 2], args[previewIndex + 3]);
+    await previewTitleCard(args[previewIndex + 1], args[previewIndex + 2], args[previewIndex + 3], config);
     return;
   }
 
@@ -1203,17 +5329,21 @@ async function main() {
   if (args.includes('--level-audio')) {
     const levelIndex = args.indexOf('--level-audio');
     if (args.length <= levelIndex + 1) {
-      console.error(`${colors.RED}Error: --level-audio requires a file path${colors.NC}`);
-      console.log('Usage: maketalk --level-audio <input.mp4>');
-      process.exit(1);
+      throw new Error('--level-audio requires a file path - usage: maketalk --level-audio <input.mp4>');
     }
 
     const inputFile = args[levelIndex + 1];
-    await levelAudioStandalone(inputFile);
+    await levelAudioStandalone(inputFile, config);
     return; // Exit after leveling
   }
 
-  console.log(`${colors.BLUE}=== maketalk ===${colors.NC}`);
+  // Show what a full build would do without running it
+  if (args.includes('--plan')) {
+    await printBuildPlan(config, await loadManifest(args.includes('--force')));
+    return;
+  }
+
+  log(`${colors.BLUE}=== maketalk ===${colors.NC}`);
 
   // Parse command line options
   const continueMode = args.includes('--continue');
@@ -1222,137 +5352,85 @@ async function main() {
   // Initialize generated directory
   await initGeneratedDir();
 
+  // Steps skip work whose inputs and settings are unchanged since the last run, unless --force
+  const manifest = await loadManifest(args.includes('--force'));
+
+  // Answers to questions that would otherwise be asked on stdin
+  const interaction = {
+    nonInteractive: args.includes('--non-interactive') || args.includes('--yes'),
+    assumeYes: args.includes('--yes'),
+    reuseTitles: args.includes('--reuse-titles') ? true : args.includes('--no-reuse-titles') ? false : null
+  };
+
   // Check if we're resuming after conversion
   if (resumeAfterConversion) {
     // Check that converted_videos directory exists and has files
     const convertedDir = path.join(GENERATED_DIR, 'converted_videos');
     if (!existsSync(convertedDir)) {
-      console.error(`${colors.RED}Error: No converted videos found at ${convertedDir}${colors.NC}`);
-      console.error('Please run maketalk without --resume-after-conversion first');
-      process.exit(1);
+      throw new Error(`No converted videos found at ${convertedDir} - run maketalk without --resume-after-conversion first`);
     }
     
     const convertedFiles = await fs.readdir(convertedDir);
     const mp4Files = convertedFiles.filter(f => f.endsWith('.mp4'));
     
     if (mp4Files.length === 0) {
-      console.error(`${colors.RED}Error: No MP4 files found in ${convertedDir}${colors.NC}`);
-      console.error('Please run maketalk without --resume-after-conversion first');
-      process.exit(1);
+      throw new Error(`No MP4 files found in ${convertedDir} - run maketalk without --resume-after-conversion first`);
     }
     
-    console.log(`${colors.GREEN}Found ${mp4Files.length} converted video(s)${colors.NC}`);
+    log(`${colors.GREEN}Found ${mp4Files.length} converted video(s)${colors.NC}`);
     
     // Clean up other directories
-    await cleanupForResume();
-    
-    // Run steps 2 onwards
-    const yakdAvailable = checkDependencies();
-    await mergeMultipartSections();  // Step 2: Merge multi-part sections
-    
-    if (yakdAvailable) {
-      await extractAudio();  // Step 3: Extract audio from merged sections only
-      await transcribeAudio(yakdAvailable);  // Step 4: Transcribe
-      const skipPrompt = await generateClaudePrompt();  // Step 5: Generate prompt
-
-      if (skipPrompt === true) {
-        // User chose to use existing title_cards.json
-        await generateTitleCards();
-        await createFinalVideo();
-      } else {
-        console.log(`\n${colors.YELLOW}Next steps:${colors.NC}`);
-        console.log('1. Run: claude-danger');
-        console.log(`2. Copy and paste the contents of ${GENERATED_DIR}/claude_prompt.txt`);
-        console.log('3. Work with Claude to refine the titles');
-        console.log('4. Have Claude save the results to title_cards.json');
-        console.log('5. Run: maketalk --continue');
-      }
-    } else {
-      // Yakety not available - generate template
-      await generateTemplateForManualEdit();
-    }
-    
-    return; // Exit after resume flow
+    await cleanupForResume(manifest);
   }
 
   // Check if we're continuing from claude-danger
-  if (continueMode) {
-    if (!existsSync('title_cards.json')) {
-      console.error(`${colors.RED}Error: title_cards.json not found!${colors.NC}`);
-      console.log('Please create title_cards.json first by:');
-      console.log('1. Running maketalk to generate the template');
-      console.log('2. Editing the titles and descriptions');
-      console.log('3. Running maketalk --continue');
-      process.exit(1);
-    }
-
-    const yakdAvailable = checkDependencies();
-    await generateTitleCards();
-    await createFinalVideo();
-  } else {
-    // Full run
-    const yakdAvailable = checkDependencies();
-    
-    // Check MOV file naming before starting
-    const movFiles = await getMovFiles();
-    if (movFiles.length === 0) {
-      console.error(`${colors.RED}Error: No .mov files found in current directory${colors.NC}`);
-      process.exit(1);
-    }
-    
-    const { numberedFiles, unnumberedFiles } = checkMovFileNaming(movFiles);
-    
-    if (unnumberedFiles.length > 0) {
-      console.error(`\n${colors.RED}Error: MOV files must follow the naming convention: XX-name.mov${colors.NC}`);
-      console.error(`       where XX is a two-digit section number (01, 02, etc.)\n`);
-      console.error(`${colors.YELLOW}Files that need to be renamed:${colors.NC}`);
-      
-      for (const file of unnumberedFiles) {
-        console.error(`  ❌ ${file}`);
-      }
-      
-      console.error(`\n${colors.BLUE}Examples of correct naming:${colors.NC}`);
-      console.error(`  ✓ 01-introduction.mov`);
-      console.error(`  ✓ 02-main-content.mov`);
-      console.error(`  ✓ 03-conclusion.mov`);
-      
-      console.error(`\n${colors.YELLOW}To rename a file, use:${colors.NC}`);
-      console.error(`  mv "${unnumberedFiles[0]}" "01-${unnumberedFiles[0]}"`);
-      
-      process.exit(1);
-    }
-    
-    console.log(`${colors.GREEN}Found ${numberedFiles.length} properly named MOV file(s)${colors.NC}`);
-    
-    await convertVideos();  // Step 1: Convert with dimension fix
-    await mergeMultipartSections();  // Step 2: Merge multi-part sections
-    
-    if (yakdAvailable) {
-      await extractAudio();  // Step 3: Extract audio from merged sections only
-      await transcribeAudio(yakdAvailable);  // Step 4: Transcribe
-      const skipPrompt = await generateClaudePrompt();  // Step 5: Generate prompt
-
-    if (skipPrompt === true) {
-      // User chose to use existing title_cards.json
-      await generateTitleCards();
-      await createFinalVideo();
-    } else {
-      console.log(`\n${colors.YELLOW}Next steps:${colors.NC}`);
-      console.log('1. Run: claude-danger');
-      console.log(`2. Copy and paste the contents of ${GENERATED_DIR}/claude_prompt.txt`);
-      console.log('3. Work with Claude to refine the titles');
-      console.log('4. Have Claude save the results to title_cards.json');
-      console.log('5. Run: maketalk --continue');
-    }
+  if (continueMode && !resumeAfterConversion && !existsSync('title_cards.json')) {
+    log('Please create title_cards.json first by:');
+    log('1. Running maketalk to generate the template');
+    log('2. Editing the titles and descriptions');
+    log('3. Running maketalk --continue');
+    throw new Error('title_cards.json not found!');
+  }
+
+  const from = resumeAfterConversion ? 'merge' : continueMode ? 'titleCards' : 'convert';
+  let result;
+  try {
+    result = await runBuild(config, manifest, interaction, from);
+  } catch (error) {
+    endStep('failed');
+    reportSummary(config, { status: 'failed' });
+    throw error;
+  }
+  endStep();
+
+  if (result.prompt) {
+    log(`\n${colors.YELLOW}Next steps:${colors.NC}`);
+    log('1. Run: claude-danger');
+    log(`2. Copy and paste the contents of ${result.prompt}`);
+    log('3. Work with Claude to refine the titles');
+    log('4. Have Claude save the results to title_cards.json');
+    log('5. Run: maketalk --continue');
+  }
+
+  reportSummary(config, result);
+  if (failures.length > 0) {
+    throw failuresError();
+  }
+}
+
+// Run the script when called as a command rather than required as a library
+if (require.main === module) {
+  registerSignalHandlers();
+  main().catch(error => {
+    const exitCode = error.exitCode === undefined ? 1 : error.exitCode;
+    endStep('failed');
+    if (events.listenerCount('event') > 0) {
+      report({ type: 'error', message: error.message, exitCode });
     } else {
-      // Yakety not available - generate template
-      await generateTemplateForManualEdit();
+      console.error(`${colors.RED}Error: ${error.message}${colors.NC}`);
     }
-  }
+    process.exit(exitCode);
+  });
 }
 
-// Run the script
-main().catch(error => {
-  console.error(`${colors.RED}Error: ${error.message}${colors.NC}`);
-  process.exit(1);
-});
\ No newline at end of file
+module.exports = { build, convert, merge, transcribe, renderTitleCards, assemble, loadConfig, DEFAULT_CONFIG };